@@ -0,0 +1,95 @@
+// Compares SpatialIndex lookups against the full scans they replace.
+// Usage: npm run bench [-- 10000 50000 100000]
+
+import { performance } from "node:perf_hooks";
+import { SpatialIndex, getDistance } from "../src/spatialIndex.js";
+
+const SIZES = process.argv.slice(2).map(Number).filter(Boolean);
+const CENTER = [18.52, 73.85]; // Pune
+const SPREAD = 0.25; // degrees, roughly a 28km square
+const RADIUS = 200; // meters, the default local pattern radius
+const NEARBY_QUERIES = 500;
+const VIEWPORT_QUERIES = 200;
+const VIEWPORT = [0.02, 0.03]; // degrees, a city-street zoom
+
+// Same generator as the demo data, so runs are repeatable
+let seed = 42;
+const random = () => {
+  const x = Math.sin(seed++) * 10000;
+  return x - Math.floor(x);
+};
+
+const makePoints = (count) =>
+  Array.from({ length: count }, (_, i) => ({
+    id: i,
+    lat: CENTER[0] + (random() - 0.5) * SPREAD,
+    lng: CENTER[1] + (random() - 0.5) * SPREAD,
+  }));
+
+const time = (fn) => {
+  const start = performance.now();
+  const result = fn();
+  return { ms: performance.now() - start, result };
+};
+
+const total = (results) =>
+  results.reduce((sum, items) => sum + items.length, 0);
+
+const run = (count) => {
+  const points = makePoints(count);
+  const centers = makePoints(NEARBY_QUERIES);
+  const corners = makePoints(VIEWPORT_QUERIES);
+
+  const build = time(() => new SpatialIndex(points));
+  const index = build.result;
+
+  const nearbyScan = time(() =>
+    centers.map((c) =>
+      points.filter((p) => getDistance(c.lat, c.lng, p.lat, p.lng) <= RADIUS)
+    )
+  );
+  const nearbyIndex = time(() =>
+    centers.map((c) => index.within(c.lat, c.lng, RADIUS))
+  );
+
+  const boxes = corners.map((c) => [
+    c.lat,
+    c.lng,
+    c.lat + VIEWPORT[0],
+    c.lng + VIEWPORT[1],
+  ]);
+  const viewportScan = time(() =>
+    boxes.map(([s, w, n, e]) =>
+      points.filter((p) => p.lat >= s && p.lat <= n && p.lng >= w && p.lng <= e)
+    )
+  );
+  const viewportIndex = time(() =>
+    boxes.map(([s, w, n, e]) => index.inBounds(s, w, n, e))
+  );
+
+  // The index must agree with the scans it replaces
+  if (
+    total(nearbyScan.result) !== total(nearbyIndex.result) ||
+    total(viewportScan.result) !== total(viewportIndex.result)
+  ) {
+    throw new Error(`Index results differ from a full scan at n=${count}`);
+  }
+
+  return {
+    points: count,
+    "build ms": build.ms.toFixed(1),
+    "nearby scan ms": nearbyScan.ms.toFixed(1),
+    "nearby index ms": nearbyIndex.ms.toFixed(1),
+    "nearby speedup": `${(nearbyScan.ms / nearbyIndex.ms).toFixed(0)}x`,
+    "viewport scan ms": viewportScan.ms.toFixed(1),
+    "viewport index ms": viewportIndex.ms.toFixed(1),
+    "viewport speedup": `${(viewportScan.ms / viewportIndex.ms).toFixed(0)}x`,
+  };
+};
+
+console.log(
+  `${NEARBY_QUERIES} nearby queries (${RADIUS}m) and ${VIEWPORT_QUERIES} viewport queries per size`
+);
+console.table(
+  (SIZES.length > 0 ? SIZES : [1000, 10000, 50000, 100000]).map(run)
+);
@@ -0,0 +1,1195 @@
+// ============================================================================
+// ANALYTICS
+// ============================================================================
+//
+// Filtering, statistics, pattern and aggregation code shared by the UI and
+// the analytics worker (analytics.worker.js). Nothing here touches React,
+// Leaflet or the DOM.
+
+import { SpatialIndex, getDistance } from "./spatialIndex";
+
+// Observation type registry, filled from config.json by ConfigService.apply
+// (and inside the worker from each "load" request)
+export const OBSERVATION_TYPES = {};
+
+// Hour-of-day buckets (local time), each running up to untilHour
+export const TIME_OF_DAY_BUCKETS = [
+  { id: "early_morning", label: "Early morning", untilHour: 6 },
+  { id: "morning_peak", label: "Morning peak", untilHour: 10 },
+  { id: "midday", label: "Midday", untilHour: 16 },
+  { id: "evening_peak", label: "Evening peak", untilHour: 20 },
+  { id: "night", label: "Night hours", untilHour: 24 },
+];
+
+// Institutional review statuses, in process order
+export const OBSERVATION_STATUSES = {
+  pending: { label: "Pending", resolved: false },
+  under_review: { label: "Under review", resolved: false },
+  acknowledged: { label: "Acknowledged", resolved: false },
+  resolved: { label: "Resolved", resolved: true },
+  dismissed: { label: "Dismissed", resolved: true },
+};
+
+export const DAY_FILTERS = {
+  ALL: "all",
+  WEEKDAYS: "weekdays",
+  WEEKENDS: "weekends",
+};
+
+// Time-of-day, day-of-week and period checks used when filtering
+export const TimeFilterUtils = {
+  getTimeBucket(timestamp) {
+    const hour = new Date(timestamp).getHours();
+    return TIME_OF_DAY_BUCKETS.find((bucket) => hour < bucket.untilHour);
+  },
+
+  isWeekend(timestamp) {
+    const day = new Date(timestamp).getDay();
+    return day === 0 || day === 6;
+  },
+
+  // Whether a timestamp falls in the selected buckets (none = any) and days
+  matchesTimeOfDay(timestamp, bucketIds, dayFilter) {
+    if (
+      bucketIds.length > 0 &&
+      !bucketIds.includes(TimeFilterUtils.getTimeBucket(timestamp).id)
+    ) {
+      return false;
+    }
+    const isWeekend = TimeFilterUtils.isWeekend(timestamp);
+    if (dayFilter === DAY_FILTERS.WEEKDAYS) return !isWeekend;
+    if (dayFilter === DAY_FILTERS.WEEKENDS) return isWeekend;
+    return true;
+  },
+
+  isInRange(timestamp, range) {
+    return timestamp >= range.start && timestamp < range.end;
+  },
+};
+
+export const StatsUtils = {
+  calculateObservationStats(observations) {
+    const total = observations.length;
+
+    // One bucket per configured observation type and per status
+    const byType = Object.fromEntries(
+      Object.keys(OBSERVATION_TYPES).map((type) => [type, 0])
+    );
+    const byStatus = Object.fromEntries(
+      Object.keys(OBSERVATION_STATUSES).map((status) => [status, 0])
+    );
+
+    if (total === 0) {
+      return {
+        total: 0,
+        byType,
+        byStatus,
+        avgResponseTime: 0,
+        medianResponseTime: null,
+        reviewRate: "0.0",
+      };
+    }
+
+    observations.forEach((o) => {
+      if (o.type in byType) byType[o.type] += 1;
+      if (o.status in byStatus) byStatus[o.status] += 1;
+    });
+
+    const withResponseTime = observations.filter(
+      (o) => o.response_time && o.response_time > 0
+    );
+    const avgResponseTime =
+      withResponseTime.length > 0
+        ? Math.round(
+            withResponseTime.reduce((acc, o) => acc + o.response_time, 0) /
+              withResponseTime.length
+          )
+        : 0;
+
+    const reviewed = observations.filter((o) => o.status !== "pending").length;
+    const reviewRate =
+      total > 0 ? ((reviewed / total) * 100).toFixed(1) : "0.0";
+
+    const medianResponseTime = StatsUtils.median(
+      withResponseTime.map((o) => o.response_time)
+    );
+
+    return {
+      total,
+      byType,
+      byStatus,
+      avgResponseTime,
+      medianResponseTime,
+      reviewRate,
+    };
+  },
+
+  // Standard normal CDF (Abramowitz & Stegun 7.1.26, error below 1.5e-7)
+  normalCdf(z) {
+    const x = Math.abs(z) / Math.SQRT2;
+    const t = 1 / (1 + 0.3275911 * x);
+    const poly =
+      t *
+      (0.254829592 +
+        t *
+          (-0.284496736 +
+            t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+    const erf = 1 - poly * Math.exp(-x * x);
+    return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+  },
+
+  // Two-sided p-value of a z-score
+  getPValue(z) {
+    return 2 * (1 - StatsUtils.normalCdf(Math.abs(z)));
+  },
+
+  // Middle value (mean of the middle two for even counts); null when empty
+  median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 1
+      ? sorted[mid]
+      : (sorted[mid - 1] + sorted[mid]) / 2;
+  },
+};
+
+export const AggregationUtils = {
+  // Local planar meters around a reference latitude (fine at city scale)
+  toMeters(lat, lng, originLat) {
+    const cosLat = Math.cos((originLat * Math.PI) / 180);
+    return { x: lng * 111320 * cosLat, y: lat * 110574 };
+  },
+
+  toLatLng(x, y, originLat) {
+    const cosLat = Math.cos((originLat * Math.PI) / 180);
+    return [y / 110574, x / (111320 * cosLat)];
+  },
+
+  // Square cell holding a planar point, with its corner ring
+  getSquareCell(x, y, size) {
+    const col = Math.floor(x / size);
+    const row = Math.floor(y / size);
+    const [x0, y0] = [col * size, row * size];
+    return {
+      id: `sq_${size}_${col}_${row}`,
+      corners: [
+        [x0, y0],
+        [x0 + size, y0],
+        [x0 + size, y0 + size],
+        [x0, y0 + size],
+      ],
+    };
+  },
+
+  // Pointy-top hexagon (axial coordinates) holding a planar point; size is
+  // the distance between neighbouring centres
+  getHexCell(x, y, size) {
+    const radius = size / Math.sqrt(3);
+    const qf = ((Math.sqrt(3) / 3) * x - y / 3) / radius;
+    const rf = ((2 / 3) * y) / radius;
+
+    // Cube rounding to the nearest hexagon
+    let q = Math.round(qf);
+    let r = Math.round(rf);
+    const s = Math.round(-qf - rf);
+    const dq = Math.abs(q - qf);
+    const dr = Math.abs(r - rf);
+    const ds = Math.abs(s + qf + rf);
+    if (dq > dr && dq > ds) q = -r - s;
+    else if (dr > ds) r = -q - s;
+
+    const cx = radius * Math.sqrt(3) * (q + r / 2);
+    const cy = radius * 1.5 * r;
+    const corners = [0, 1, 2, 3, 4, 5].map((i) => {
+      const angle = (Math.PI / 180) * (60 * i - 30);
+      return [cx + radius * Math.cos(angle), cy + radius * Math.sin(angle)];
+    });
+    return { id: `hex_${size}_${q}_${r}`, corners };
+  },
+
+  // Group observations into cells; only occupied cells are returned
+  binObservations(observations, { shape, cellSize, originLat }) {
+    const cells = new Map();
+    const getCell =
+      shape === "hex"
+        ? AggregationUtils.getHexCell
+        : AggregationUtils.getSquareCell;
+
+    observations.forEach((obs) => {
+      const { x, y } = AggregationUtils.toMeters(obs.lat, obs.lng, originLat);
+      const { id, corners } = getCell(x, y, cellSize);
+      if (!cells.has(id)) {
+        cells.set(id, {
+          id,
+          polygon: corners.map(([cx, cy]) =>
+            AggregationUtils.toLatLng(cx, cy, originLat)
+          ),
+          observations: [],
+        });
+      }
+      cells.get(id).observations.push(obs);
+    });
+
+    return [...cells.values()];
+  },
+};
+
+export const PatternUtils = {
+  // Filter observations matching a pattern type
+  getMatchingObservations(observations, referenceObservation) {
+    return observations.filter((obs) => obs.type === referenceObservation.type);
+  },
+
+  // Get observations (an array or a SpatialIndex of them) within radius of a
+  // point
+  getNearbyObservations(observations, centerLat, centerLng, radiusMeters) {
+    // A prebuilt index answers without scanning every observation
+    if (observations instanceof SpatialIndex) {
+      return observations.within(centerLat, centerLng, radiusMeters);
+    }
+    return observations.filter((obs) => {
+      const distance = getDistance(centerLat, centerLng, obs.lat, obs.lng);
+      return distance <= radiusMeters;
+    });
+  },
+
+  // Calculate pattern statistics for city-wide analysis
+  calculateCityWideStats(observations, range) {
+    // Calculate unique zones (simplified grid-based approach)
+    const uniqueZones = new Set(
+      observations.map(
+        (obs) => `${Math.floor(obs.lat * 100)}_${Math.floor(obs.lng * 100)}`
+      )
+    ).size;
+
+    const trendTest = PatternUtils.getTrend(observations, range);
+
+    return {
+      total: observations.length,
+      affectedZones: uniqueZones,
+      trend: trendTest.trend,
+      trendTest,
+      recentCount: trendTest.recentCount,
+    };
+  },
+
+  // Fewer observations than this, or fewer time bins, say nothing about trend
+  TREND_MIN_OBSERVATIONS: 8,
+  TREND_MIN_BINS: 4,
+  TREND_MAX_BINS: 30,
+  TREND_ALPHA: 0.05,
+
+  // Mann-Kendall test on counts per time bin, with Sen's slope in reports
+  // per week. The window is the range, starting at the earliest observation
+  // when the range has no start.
+  getTrend(observations, range) {
+    const timestamps = observations.map((obs) => obs.timestamp);
+    let first = Infinity;
+    let last = -Infinity;
+    timestamps.forEach((t) => {
+      first = Math.min(first, t);
+      last = Math.max(last, t);
+    });
+    const start = Number.isFinite(range.start) ? range.start : first;
+    const end = Number.isFinite(range.end) ? range.end : last + 1;
+
+    const midpoint = start + (end - start) / 2;
+    const recentCount = timestamps.filter((t) => t > midpoint).length;
+    const olderCount = timestamps.length - recentCount;
+
+    const result = {
+      trend: "insufficient",
+      slope: null,
+      confidence: null,
+      pValue: null,
+      sampleSize: observations.length,
+      recentCount,
+      olderCount,
+    };
+    if (
+      observations.length < PatternUtils.TREND_MIN_OBSERVATIONS ||
+      !(end > start)
+    ) {
+      return result;
+    }
+
+    // About a bin per day, within the bin limits
+    const dayMs = 24 * 60 * 60 * 1000;
+    const days = (end - start) / dayMs;
+    const binCount = Math.min(
+      Math.max(Math.round(days), PatternUtils.TREND_MIN_BINS),
+      PatternUtils.TREND_MAX_BINS
+    );
+    const binMs = (end - start) / binCount;
+    const counts = new Array(binCount).fill(0);
+    timestamps.forEach((t) => {
+      const bin = Math.floor((t - start) / binMs);
+      if (bin >= 0 && bin < binCount) counts[bin] += 1;
+    });
+
+    // S sums the sign of every later-minus-earlier pair; Sen's slope is the
+    // median of their slopes
+    let s = 0;
+    const slopes = [];
+    for (let i = 0; i < binCount - 1; i++) {
+      for (let j = i + 1; j < binCount; j++) {
+        s += Math.sign(counts[j] - counts[i]);
+        slopes.push((counts[j] - counts[i]) / (j - i));
+      }
+    }
+
+    // Variance of S under no trend, less what tied counts take away
+    const ties = new Map();
+    counts.forEach((c) => ties.set(c, (ties.get(c) || 0) + 1));
+    let tieTerm = 0;
+    ties.forEach((t) => {
+      tieTerm += t * (t - 1) * (2 * t + 5);
+    });
+    const n = binCount;
+    const variance = (n * (n - 1) * (2 * n + 5) - tieTerm) / 18;
+
+    // Continuity-corrected z-score
+    let z = 0;
+    if (variance > 0 && s > 0) z = (s - 1) / Math.sqrt(variance);
+    else if (variance > 0 && s < 0) z = (s + 1) / Math.sqrt(variance);
+    const pValue = StatsUtils.getPValue(z);
+
+    let trend = "stable";
+    if (pValue < PatternUtils.TREND_ALPHA) {
+      trend = s > 0 ? "increasing" : "declining";
+    }
+
+    return {
+      ...result,
+      trend,
+      slope: (StatsUtils.median(slopes) * 7 * dayMs) / binMs,
+      confidence: 1 - pValue,
+      pValue,
+    };
+  },
+
+  // Counts, trend, type mix and status breakdown inside a drawn region
+  calculateRegionStats(observations, range) {
+    const { total, byType, byStatus } =
+      StatsUtils.calculateObservationStats(observations);
+    const trendTest = PatternUtils.getTrend(observations, range);
+    return {
+      count: total,
+      trend: trendTest.trend,
+      trendTest,
+      byType,
+      byStatus,
+    };
+  },
+
+  // Calculate local pattern statistics
+  calculateLocalStats(observations, range) {
+    if (observations.length === 0) return null;
+
+    const timestamps = observations
+      .map((o) => o.timestamp)
+      .sort((a, b) => a - b);
+    const timeSpan = timestamps[timestamps.length - 1] - timestamps[0];
+    const timeSpanDays = Math.ceil(timeSpan / (1000 * 60 * 60 * 24));
+
+    const trendTest = PatternUtils.getTrend(observations, range);
+
+    return {
+      count: observations.length,
+      timeSpanDays,
+      trend: trendTest.trend,
+      trendTest,
+    };
+  },
+
+  // Area of the box spanned by observations, in square meters
+  getExtentArea(observations) {
+    if (observations.length === 0) return 0;
+
+    // A loop rather than Math.min(...), which overflows on large arrays
+    let [minLat, minLng, maxLat, maxLng] = [
+      Infinity,
+      Infinity,
+      -Infinity,
+      -Infinity,
+    ];
+    observations.forEach((obs) => {
+      minLat = Math.min(minLat, obs.lat);
+      minLng = Math.min(minLng, obs.lng);
+      maxLat = Math.max(maxLat, obs.lat);
+      maxLng = Math.max(maxLng, obs.lng);
+    });
+    const midLat = (minLat + maxLat) / 2;
+    const height = getDistance(minLat, minLng, maxLat, minLng);
+    const width = getDistance(midLat, minLng, midLat, maxLng);
+    return height * width;
+  },
+
+  // Headline context for one observation: nearby count, trend and how dense
+  // this type is around it compared to its density across the whole extent
+  calculatePatternContext(
+    observation,
+    observations,
+    { range, periodDescription, radiusMeters, index = null }
+  ) {
+    const sameType = observations.filter(
+      (obs) => obs.type === observation.type
+    );
+    const nearby = this.getNearbyObservations(
+      index || sameType,
+      observation.lat,
+      observation.lng,
+      radiusMeters
+    ).filter((obs) => obs.type === observation.type);
+    const trendTest = this.getTrend(nearby, range);
+    const { trend } = trendTest;
+
+    // Other reports in the circle vs how many a uniform spread would put there
+    const extentArea = this.getExtentArea(observations);
+    const expectedNearby =
+      extentArea > 0
+        ? ((sameType.length - 1) * Math.PI * radiusMeters ** 2) / extentArea
+        : 0;
+    const densityRatio =
+      expectedNearby > 0 ? (nearby.length - 1) / expectedNearby : null;
+
+    let comparison = "about as frequently as";
+    if (densityRatio !== null && densityRatio > 1.1) {
+      comparison = "more frequently than";
+    } else if (densityRatio !== null && densityRatio < 0.9) {
+      comparison = "less frequently than";
+    }
+
+    let frequency = "n/a";
+    if (densityRatio !== null) {
+      const change = Math.round((densityRatio - 1) * 100);
+      frequency = `${change >= 0 ? "+" : ""}${change}%`;
+    }
+
+    const trendSymbol = {
+      increasing: "↑ Rising",
+      declining: "↓ Declining",
+      stable: "→ No clear trend",
+      insufficient: "– Too few",
+    }[trend];
+
+    const trendSentence = {
+      increasing: `Reports have been increasing over ${periodDescription}.`,
+      declining: `Reports have been declining over ${periodDescription}.`,
+      stable: `Reports show no clear trend over ${periodDescription}.`,
+      insufficient: `There are too few reports nearby to judge a trend over ${periodDescription}.`,
+    }[trend];
+
+    const comparisonSentence =
+      densityRatio === null
+        ? "Too few observations of this type to compare against the city average."
+        : `This behavior is observed ${comparison} city average in this area.`;
+
+    return {
+      summary: `${comparisonSentence} ${trendSentence}`,
+      nearbyCount: nearby.length,
+      radiusMeters,
+      trend: trendSymbol,
+      trendTest,
+      densityRatio,
+      frequency,
+    };
+  },
+};
+
+// Getis-Ord Gi* over square cells. Each cell is scored on its own count plus
+// its eight neighbours' against the mean over every cell (empty ones too) in
+// the rectangle the observations span. Significant hot cells are kept at a
+// false discovery rate of alpha (Benjamini-Hochberg) and touching ones are
+// merged into one hotspot.
+export const HotspotUtils = {
+  // Below this many observations there is no meaningful surface to test
+  MIN_OBSERVATIONS: 30,
+
+  // Where data is sparse a lone observation already scores as significant,
+  // so a hotspot has to hold at least this many
+  MIN_HOTSPOT_SIZE: 3,
+
+  // Largest p-value still significant under Benjamini-Hochberg, given the
+  // p-values tested out of cellCount cells (untested cells only add to m)
+  getFdrThreshold(pValues, cellCount, alpha) {
+    const sorted = [...pValues].sort((a, b) => a - b);
+    let threshold = 0;
+    sorted.forEach((p, k) => {
+      if (p <= ((k + 1) / cellCount) * alpha) threshold = p;
+    });
+    return threshold;
+  },
+
+  findHotspots(observations, { cellSize, originLat, alpha = 0.05 }) {
+    if (observations.length < HotspotUtils.MIN_OBSERVATIONS) return [];
+
+    const getKey = (col, row) => `${col}_${row}`;
+    const cells = new Map();
+    observations.forEach((obs) => {
+      const { x, y } = AggregationUtils.toMeters(obs.lat, obs.lng, originLat);
+      const col = Math.floor(x / cellSize);
+      const row = Math.floor(y / cellSize);
+      const key = getKey(col, row);
+      if (!cells.has(key)) cells.set(key, { col, row, observations: [] });
+      cells.get(key).observations.push(obs);
+    });
+
+    let [minCol, maxCol, minRow, maxRow] = [
+      Infinity,
+      -Infinity,
+      Infinity,
+      -Infinity,
+    ];
+    cells.forEach(({ col, row }) => {
+      minCol = Math.min(minCol, col);
+      maxCol = Math.max(maxCol, col);
+      minRow = Math.min(minRow, row);
+      maxRow = Math.max(maxRow, row);
+    });
+    const width = maxCol - minCol + 1;
+    const height = maxRow - minRow + 1;
+    const cellCount = width * height;
+    if (cellCount < 3) return [];
+
+    const mean = observations.length / cellCount;
+    let sumSquares = 0;
+    cells.forEach((cell) => {
+      sumSquares += cell.observations.length ** 2;
+    });
+    const sd = Math.sqrt(sumSquares / cellCount - mean * mean);
+    if (!(sd > 0)) return [];
+
+    const isInside = (col, row) =>
+      col >= minCol && col <= maxCol && row >= minRow && row <= maxRow;
+    const getCount = (col, row) =>
+      cells.get(getKey(col, row))?.observations.length || 0;
+    const getNeighbours = (col, row) => {
+      const neighbours = [];
+      for (let dc = -1; dc <= 1; dc++) {
+        for (let dr = -1; dr <= 1; dr++) {
+          if (isInside(col + dc, row + dr)) {
+            neighbours.push([col + dc, row + dr]);
+          }
+        }
+      }
+      return neighbours;
+    };
+
+    // Gi* is only positive next to observations, so only those cells are
+    // scored; weights are binary, the cell itself included
+    const scores = new Map();
+    cells.forEach(({ col, row }) => {
+      getNeighbours(col, row).forEach(([c, r]) => {
+        const key = getKey(c, r);
+        if (scores.has(key)) return;
+
+        const neighbours = getNeighbours(c, r);
+        const weight = neighbours.length;
+        const sum = neighbours.reduce(
+          (total, [nc, nr]) => total + getCount(nc, nr),
+          0
+        );
+        const spread = (cellCount * weight - weight * weight) / (cellCount - 1);
+        const z = (sum - mean * weight) / (sd * Math.sqrt(spread));
+        scores.set(key, { col: c, row: r, z, p: StatsUtils.getPValue(z) });
+      });
+    });
+
+    const threshold = HotspotUtils.getFdrThreshold(
+      [...scores.values()].map((score) => score.p),
+      cellCount,
+      alpha
+    );
+    const hot = new Map();
+    scores.forEach((score, key) => {
+      if (score.z > 0 && score.p <= threshold) hot.set(key, score);
+    });
+
+    // Touching hot cells (edges or corners) form one hotspot
+    const seen = new Set();
+    const groups = [];
+    hot.forEach((start, startKey) => {
+      if (seen.has(startKey)) return;
+      seen.add(startKey);
+      const group = [];
+      const stack = [start];
+      while (stack.length > 0) {
+        const score = stack.pop();
+        group.push(score);
+        getNeighbours(score.col, score.row).forEach(([c, r]) => {
+          const key = getKey(c, r);
+          if (hot.has(key) && !seen.has(key)) {
+            seen.add(key);
+            stack.push(hot.get(key));
+          }
+        });
+      }
+      groups.push(group);
+    });
+
+    const toLatLng = (col, row) =>
+      AggregationUtils.toLatLng(col * cellSize, row * cellSize, originLat);
+
+    return groups
+      .filter(
+        (group) =>
+          group.reduce(
+            (total, { col, row }) => total + getCount(col, row),
+            0
+          ) >= HotspotUtils.MIN_HOTSPOT_SIZE
+      )
+      .map((group) => {
+        const members = new Set(group.map(({ col, row }) => getKey(col, row)));
+        const inside = group.flatMap(
+          ({ col, row }) => cells.get(getKey(col, row))?.observations || []
+        );
+        const peak = group.reduce((best, score) =>
+          score.z > best.z ? score : best
+        );
+
+        // Outline: cell edges not shared with another cell of the hotspot
+        const outline = [];
+        group.forEach(({ col, row }) => {
+          const corners = [
+            toLatLng(col, row),
+            toLatLng(col + 1, row),
+            toLatLng(col + 1, row + 1),
+            toLatLng(col, row + 1),
+          ];
+          const sides = [
+            [col, row - 1],
+            [col + 1, row],
+            [col, row + 1],
+            [col - 1, row],
+          ];
+          sides.forEach(([c, r], i) => {
+            if (!members.has(getKey(c, r))) {
+              outline.push([corners[i], corners[(i + 1) % 4]]);
+            }
+          });
+        });
+
+        // A loop rather than Math.min(...), which overflows on large arrays
+        let [minCol, minRow, maxCol, maxRow] = [
+          Infinity,
+          Infinity,
+          -Infinity,
+          -Infinity,
+        ];
+        group.forEach(({ col, row }) => {
+          minCol = Math.min(minCol, col);
+          minRow = Math.min(minRow, row);
+          maxCol = Math.max(maxCol, col);
+          maxRow = Math.max(maxRow, row);
+        });
+        const [south, west] = toLatLng(minCol, minRow);
+        const [north, east] = toLatLng(maxCol + 1, maxRow + 1);
+        const center = { lat: (south + north) / 2, lng: (west + east) / 2 };
+
+        // Most common type, and its observation nearest the centre as the
+        // way into local pattern mode
+        const typeCounts = {};
+        inside.forEach((obs) => {
+          typeCounts[obs.type] = (typeCounts[obs.type] || 0) + 1;
+        });
+        const dominantType = Object.keys(typeCounts).reduce(
+          (best, type) => (typeCounts[type] > typeCounts[best] ? type : best),
+          Object.keys(typeCounts)[0]
+        );
+        const distanceToCenter = (obs) =>
+          getDistance(center.lat, center.lng, obs.lat, obs.lng);
+        const reference = inside
+          .filter((obs) => obs.type === dominantType)
+          .reduce((best, obs) =>
+            distanceToCenter(obs) < distanceToCenter(best) ? obs : best
+          );
+        const reach = inside.reduce(
+          (max, obs) =>
+            Math.max(
+              max,
+              getDistance(reference.lat, reference.lng, obs.lat, obs.lng)
+            ),
+          0
+        );
+
+        return {
+          id: `hot_${cellSize}_${peak.col}_${peak.row}`,
+          z: peak.z,
+          p: peak.p,
+          cellCount: group.length,
+          observations: inside,
+          dominantType,
+          reference,
+          reach,
+          bounds: [
+            [south, west],
+            [north, east],
+          ],
+          outline,
+        };
+      })
+      .sort(
+        (a, b) => b.z - a.z || b.observations.length - a.observations.length
+      );
+  },
+};
+
+// Counts per observation type in local calendar days or Monday-start weeks
+export const TimeSeriesUtils = {
+  // Automatic interval: days up to this many days of span, weeks beyond
+  MAX_DAILY_SPAN_DAYS: 120,
+
+  getBucketStart(timestamp, interval) {
+    const date = new Date(timestamp);
+    const offset = interval === "week" ? (date.getDay() + 6) % 7 : 0;
+    return new Date(
+      date.getFullYear(),
+      date.getMonth(),
+      date.getDate() - offset
+    ).getTime();
+  },
+
+  getNextStart(start, interval) {
+    const date = new Date(start);
+    const days = interval === "week" ? 7 : 1;
+    return new Date(
+      date.getFullYear(),
+      date.getMonth(),
+      date.getDate() + days
+    ).getTime();
+  },
+
+  // Buckets cover the period (the data's extent where it is unbounded);
+  // interval null picks days or weeks from the span
+  countByType(observations, { interval, range }) {
+    const types = Object.keys(OBSERVATION_TYPES);
+    let first = Infinity;
+    let last = -Infinity;
+    observations.forEach((obs) => {
+      first = Math.min(first, obs.timestamp);
+      last = Math.max(last, obs.timestamp);
+    });
+    // An open-ended period ("All") runs from the first observation to the
+    // last, not on to now
+    if (Number.isFinite(range.start)) {
+      first = Math.min(first, range.start);
+      if (Number.isFinite(range.end)) last = Math.max(last, range.end - 1);
+    }
+
+    const spanDays = (last - first) / (24 * 60 * 60 * 1000);
+    const resolved =
+      interval ||
+      (spanDays > TimeSeriesUtils.MAX_DAILY_SPAN_DAYS ? "week" : "day");
+    const empty = Object.fromEntries(types.map((type) => [type, []]));
+    if (!Number.isFinite(first) || !Number.isFinite(last)) {
+      return { interval: resolved, buckets: [], counts: empty };
+    }
+
+    const buckets = [];
+    let start = TimeSeriesUtils.getBucketStart(first, resolved);
+    while (start <= last) {
+      const end = TimeSeriesUtils.getNextStart(start, resolved);
+      buckets.push({ start, end });
+      start = end;
+    }
+
+    const counts = Object.fromEntries(
+      types.map((type) => [type, buckets.map(() => 0)])
+    );
+    observations.forEach((obs) => {
+      if (!counts[obs.type]) return;
+      // Last bucket starting at or before the timestamp
+      let low = 0;
+      let high = buckets.length - 1;
+      while (low < high) {
+        const mid = Math.ceil((low + high) / 2);
+        if (buckets[mid].start <= obs.timestamp) low = mid;
+        else high = mid - 1;
+      }
+      counts[obs.type][low] += 1;
+    });
+
+    return { interval: resolved, buckets, counts };
+  },
+};
+
+// Hour of the week in local time, days Monday first like the weekly series.
+// A slot is { day, hour } with day 0 for Monday.
+export const HourOfWeekUtils = {
+  DAY_LABELS: ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"],
+
+  getSlot(timestamp) {
+    const date = new Date(timestamp);
+    return { day: (date.getDay() + 6) % 7, hour: date.getHours() };
+  },
+
+  isInSlot(timestamp, slot) {
+    const { day, hour } = HourOfWeekUtils.getSlot(timestamp);
+    return day === slot.day && hour === slot.hour;
+  },
+
+  // Seven rows (Monday first) of 24 hourly counts
+  countByHourOfWeek(observations) {
+    const counts = HourOfWeekUtils.DAY_LABELS.map(() => new Array(24).fill(0));
+    observations.forEach((obs) => {
+      const { day, hour } = HourOfWeekUtils.getSlot(obs.timestamp);
+      counts[day][hour] += 1;
+    });
+    return counts;
+  },
+};
+
+export const SearchUtils = {
+  // Lowercased word tokens; underscores are kept so ids stay whole
+  tokenize(text) {
+    return (text || "").toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [];
+  },
+
+  // Every query token must start a description word or occur in the id
+  matches(obs, queryTokens) {
+    if (queryTokens.length === 0) return true;
+
+    const words = SearchUtils.tokenize(obs.description);
+    const id = obs.id.toLowerCase();
+    return queryTokens.every(
+      (token) =>
+        id.includes(token) || words.some((word) => word.startsWith(token))
+    );
+  },
+
+  // Observation whose id is exactly the query (case-insensitive), if any
+  findById(observations, query) {
+    const id = query.trim().toLowerCase();
+    if (!id) return null;
+    return observations.find((obs) => obs.id.toLowerCase() === id) || null;
+  },
+
+  // Split text into { text, isMatch } segments for the query tokens
+  highlight(text, queryTokens, { wordStart = false } = {}) {
+    if (!text || queryTokens.length === 0) return [{ text, isMatch: false }];
+
+    // Tokens are word characters only, so they are safe inside a pattern
+    const alternatives = [...queryTokens].sort((a, b) => b.length - a.length);
+    const pattern = new RegExp(
+      `${wordStart ? "(?<![\\p{L}\\p{N}_])" : ""}(${alternatives.join("|")})`,
+      "giu"
+    );
+
+    const segments = [];
+    let lastIndex = 0;
+    for (const match of text.matchAll(pattern)) {
+      if (match.index > lastIndex) {
+        segments.push({
+          text: text.slice(lastIndex, match.index),
+          isMatch: false,
+        });
+      }
+      segments.push({ text: match[0], isMatch: true });
+      lastIndex = match.index + match[0].length;
+    }
+    if (lastIndex < text.length) {
+      segments.push({ text: text.slice(lastIndex), isMatch: false });
+    }
+    return segments;
+  },
+};
+
+// ============================================================================
+// ANALYTICS SESSION
+// ============================================================================
+//
+// Holds one dataset and answers requests about it with indices into that
+// dataset, so results stay small and callers map them back onto their own
+// observation objects. Requests, by type:
+//   load             { observations, types }           -> { count }
+//   filter           { lens, statuses, range, timeOfDay, dayFilter,
+//                      searchTokens, brush, hourSlot, previousRange }
+//                                                       -> { criteria, filtered,
+//                                                            unslotted,
+//                                                            previous }
+//   viewport         { south, west, north, east }       -> { visible, stats,
+//                                                            previousStats,
+//                                                            punchcard }
+//   cityWidePattern  { reference, range, previous }     -> { indices, stats,
+//                                                            punchcard }
+//   localPattern     { reference, radius, range,
+//                      previous }                       -> { indices, stats,
+//                                                            punchcard }
+//   aggregate        { shape, cellSize, originLat }     -> { cells }
+//   hotspots         { cellSize, originLat, alpha }     -> { count,
+//                      minObservations, hotspots }
+//   timeSeries       { interval, range }                -> { interval,
+//                      buckets, counts }
+// Requests after filter work on its last result (timeSeries on the result
+// before the brush, punchcards on the result before the hour slot). A filter
+// with a previousRange also keeps what the same filters match in that window;
+// patterns asked for with previous: true run on those, and viewport adds their
+// stats.
+
+export class AnalyticsSession {
+  constructor() {
+    this.observations = [];
+    this.unbrushed = [];
+    this.setFiltered([]);
+    this.setPrevious([], null);
+  }
+
+  handle(type, payload) {
+    const handlers = {
+      load: this.load,
+      filter: this.filter,
+      viewport: this.viewport,
+      cityWidePattern: this.cityWidePattern,
+      localPattern: this.localPattern,
+      aggregate: this.aggregate,
+      hotspots: this.hotspots,
+      timeSeries: this.timeSeries,
+    };
+    if (!handlers[type]) throw new Error(`Unknown analytics request: ${type}`);
+    return handlers[type].call(this, payload);
+  }
+
+  getPoints(indices) {
+    return indices.map((i) => ({
+      lat: this.observations[i].lat,
+      lng: this.observations[i].lng,
+      type: this.observations[i].type,
+      i,
+    }));
+  }
+
+  // Filtered dataset indices, plus an index of their positions; unslotted
+  // are the same before the hour slot narrowed them
+  setFiltered(filtered, unslotted = filtered) {
+    this.filtered = filtered;
+    this.points = this.getPoints(filtered);
+    this.index = new SpatialIndex(this.points);
+    this.unslotted = unslotted;
+    this.unslottedIndex =
+      unslotted === filtered
+        ? this.index
+        : new SpatialIndex(this.getPoints(unslotted));
+  }
+
+  // Matches in the comparison window (range null when not comparing)
+  setPrevious(previous, range) {
+    this.previous = previous;
+    this.previousRange = range;
+    this.previousIndex = new SpatialIndex(this.getPoints(previous));
+  }
+
+  getObservations(indices) {
+    return indices.map((i) => this.observations[i]);
+  }
+
+  load({ observations, types }) {
+    // In-process sessions share the registry rather than receive a copy
+    if (types !== OBSERVATION_TYPES) {
+      Object.keys(OBSERVATION_TYPES).forEach(
+        (key) => delete OBSERVATION_TYPES[key]
+      );
+      Object.assign(OBSERVATION_TYPES, types);
+    }
+    this.observations = observations;
+    this.unbrushed = observations.map((_, i) => i);
+    this.setFiltered(this.unbrushed);
+    this.setPrevious([], null);
+    return { count: observations.length };
+  }
+
+  // The brush (a [start, end) range or null) and the hour slot (or null)
+  // narrow both results. Each chart keeps counting without its own
+  // selection so it can be re-picked: the time series ignores the brush,
+  // punchcards the slot (unslotted is null when there is none).
+  // previousRange (or null) collects the same matches, search included, in a
+  // window to compare against.
+  filter({
+    lens,
+    statuses,
+    range,
+    timeOfDay,
+    dayFilter,
+    searchTokens,
+    brush,
+    hourSlot = null,
+    previousRange = null,
+  }) {
+    const hasTimeOfDay = timeOfDay.length > 0 || dayFilter !== DAY_FILTERS.ALL;
+    const unbrushed = [];
+    const previous = [];
+
+    this.observations.forEach((obs, i) => {
+      if (lens.length > 0 && !lens.includes(obs.type)) return;
+      if (statuses.length > 0 && !statuses.includes(obs.status)) return;
+      if (
+        hasTimeOfDay &&
+        !TimeFilterUtils.matchesTimeOfDay(obs.timestamp, timeOfDay, dayFilter)
+      ) {
+        return;
+      }
+      if (
+        previousRange &&
+        TimeFilterUtils.isInRange(obs.timestamp, previousRange)
+      ) {
+        previous.push(i);
+      }
+      if (
+        Number.isFinite(range.start) &&
+        !TimeFilterUtils.isInRange(obs.timestamp, range)
+      ) {
+        return;
+      }
+      unbrushed.push(i);
+    });
+
+    const inBrush = (indices) =>
+      brush
+        ? indices.filter((i) =>
+            TimeFilterUtils.isInRange(this.observations[i].timestamp, brush)
+          )
+        : indices;
+    const inSlot = (indices) =>
+      hourSlot
+        ? indices.filter((i) =>
+            HourOfWeekUtils.isInSlot(this.observations[i].timestamp, hourSlot)
+          )
+        : indices;
+    const criteria = inSlot(inBrush(unbrushed));
+
+    const matchesSearch = (i) =>
+      SearchUtils.matches(this.observations[i], searchTokens);
+    const hasSearch = searchTokens.length > 0;
+    const searched = hasSearch ? unbrushed.filter(matchesSearch) : unbrushed;
+    this.unbrushed = inSlot(searched);
+    const unslotted = inBrush(searched);
+    const filtered = inSlot(unslotted);
+    this.setFiltered(filtered, unslotted);
+    this.setPrevious(
+      inSlot(hasSearch ? previous.filter(matchesSearch) : previous),
+      previousRange
+    );
+    return {
+      criteria,
+      filtered,
+      unslotted: hourSlot ? unslotted : null,
+      previous: this.previous,
+    };
+  }
+
+  // Filtered observations inside the box, and stats for them (or for every
+  // filtered observation when none are inside); the same for the comparison
+  // window when there is one, and the hour-of-week punchcard before the slot
+  viewport({ south, west, north, east }) {
+    const visible = this.index
+      .inBounds(south, west, north, east)
+      .map((point) => point.i);
+    const previous = this.previousIndex
+      .inBounds(south, west, north, east)
+      .map((point) => point.i);
+    const unslotted =
+      this.unslottedIndex === this.index
+        ? visible
+        : this.unslottedIndex
+            .inBounds(south, west, north, east)
+            .map((point) => point.i);
+    return {
+      visible,
+      stats: StatsUtils.calculateObservationStats(
+        this.getObservations(visible.length > 0 ? visible : this.filtered)
+      ),
+      previousStats: this.previousRange
+        ? StatsUtils.calculateObservationStats(
+            this.getObservations(visible.length > 0 ? previous : this.previous)
+          )
+        : null,
+      punchcard: HourOfWeekUtils.countByHourOfWeek(
+        this.getObservations(unslotted.length > 0 ? unslotted : this.unslotted)
+      ),
+    };
+  }
+
+  // Pattern punchcards count before the hour slot; requests on the
+  // comparison window only need stats
+  cityWidePattern({ reference, range, previous = false }) {
+    const isOfType = (i) => this.observations[i].type === reference.type;
+    const indices = (previous ? this.previous : this.filtered).filter(isOfType);
+    const unslotted =
+      this.unslotted === this.filtered
+        ? indices
+        : this.unslotted.filter(isOfType);
+    return {
+      indices,
+      stats: PatternUtils.calculateCityWideStats(
+        this.getObservations(indices),
+        range
+      ),
+      punchcard: previous
+        ? null
+        : HourOfWeekUtils.countByHourOfWeek(this.getObservations(unslotted)),
+    };
+  }
+
+  localPattern({ reference, radius, range, previous = false }) {
+    const findNearby = (index) =>
+      index
+        .within(reference.lat, reference.lng, radius)
+        .map((point) => point.i)
+        .filter((i) => this.observations[i].type === reference.type);
+    const indices = findNearby(previous ? this.previousIndex : this.index);
+    const unslotted =
+      this.unslottedIndex === this.index
+        ? indices
+        : findNearby(this.unslottedIndex);
+    return {
+      indices,
+      stats: PatternUtils.calculateLocalStats(
+        this.getObservations(indices),
+        range
+      ),
+      punchcard: previous
+        ? null
+        : HourOfWeekUtils.countByHourOfWeek(this.getObservations(unslotted)),
+    };
+  }
+
+  aggregate({ shape, cellSize, originLat }) {
+    const cells = AggregationUtils.binObservations(this.points, {
+      shape,
+      cellSize,
+      originLat,
+    });
+    return {
+      cells: cells.map(({ id, polygon, observations }) => ({
+        id,
+        polygon,
+        indices: observations.map((point) => point.i),
+      })),
+    };
+  }
+
+  timeSeries({ interval, range }) {
+    return TimeSeriesUtils.countByType(this.getObservations(this.unbrushed), {
+      interval,
+      range,
+    });
+  }
+
+  hotspots({ cellSize, originLat, alpha }) {
+    const hotspots = HotspotUtils.findHotspots(this.points, {
+      cellSize,
+      originLat,
+      alpha,
+    });
+    return {
+      count: this.points.length,
+      minObservations: HotspotUtils.MIN_OBSERVATIONS,
+      hotspots: hotspots.map(({ observations, reference, ...hotspot }) => ({
+        ...hotspot,
+        indices: observations.map((point) => point.i),
+        reference: reference.i,
+      })),
+    };
+  }
+}
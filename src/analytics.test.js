@@ -0,0 +1,245 @@
+import {
+  AggregationUtils,
+  HotspotUtils,
+  PatternUtils,
+  SearchUtils,
+  TimeSeriesUtils,
+} from "./analytics";
+
+describe("SearchUtils.highlight", () => {
+  const marked = (segments) =>
+    segments.filter((segment) => segment.isMatch).map(({ text }) => text);
+
+  test("splits text around every token, longest first", () => {
+    const segments = SearchUtils.highlight("Potholes near the pothole", [
+      "pot",
+      "pothole",
+    ]);
+    expect(segments.map(({ text }) => text).join("")).toBe(
+      "Potholes near the pothole"
+    );
+    expect(marked(segments)).toEqual(["Pothole", "pothole"]);
+  });
+
+  test("wordStart only marks tokens at the start of a word", () => {
+    expect(
+      marked(
+        SearchUtils.highlight("spot potholes", ["pot"], { wordStart: true })
+      )
+    ).toEqual(["pot"]);
+    expect(marked(SearchUtils.highlight("spot potholes", ["pot"]))).toEqual([
+      "pot",
+      "pot",
+    ]);
+  });
+
+  test("no tokens leave the text whole", () => {
+    expect(SearchUtils.highlight("Blocked footpath", [])).toEqual([
+      { text: "Blocked footpath", isMatch: false },
+    ]);
+  });
+});
+
+describe("AggregationUtils binning", () => {
+  const originLat = 19.07;
+  const size = 250;
+
+  // Deterministic points scattered over a few kilometres
+  const points = Array.from({ length: 200 }, (_, i) => ({
+    lat: 19.05 + ((i * 7919) % 1000) / 25000,
+    lng: 72.85 + ((i * 104729) % 1000) / 25000,
+  }));
+
+  test("square cells hold the points that fall inside them", () => {
+    expect(AggregationUtils.getSquareCell(120, 380, size).id).toBe(
+      "sq_250_0_1"
+    );
+    expect(AggregationUtils.getSquareCell(-1, 0, size).id).toBe("sq_250_-1_0");
+  });
+
+  test("hex cells are centred on a lattice size metres apart", () => {
+    expect(AggregationUtils.getHexCell(0, 0, size).id).toBe("hex_250_0_0");
+    expect(AggregationUtils.getHexCell(size, 0, size).id).toBe("hex_250_1_0");
+    expect(AggregationUtils.getHexCell(size * 0.4, 0, size).id).toBe(
+      "hex_250_0_0"
+    );
+  });
+
+  // Ray-casting point-in-polygon test
+  const isInside = (x, y, ring) => {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [a, b] = [ring[i], ring[j]];
+      const [isAAbove, isBAbove] = [a.y > y, b.y > y];
+      if (
+        isAAbove !== isBAbove &&
+        x < ((b.x - a.x) * (y - a.y)) / (b.y - a.y) + a.x
+      ) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  };
+
+  test.each(["square", "hex"])(
+    "every %s point lands in a cell that contains it",
+    (shape) => {
+      const cells = AggregationUtils.binObservations(points, {
+        shape,
+        cellSize: size,
+        originLat,
+      });
+      expect(
+        cells.reduce((total, cell) => total + cell.observations.length, 0)
+      ).toBe(points.length);
+
+      cells.forEach((cell) => {
+        const ring = cell.polygon.map(([lat, lng]) =>
+          AggregationUtils.toMeters(lat, lng, originLat)
+        );
+        cell.observations.forEach((obs) => {
+          const { x, y } = AggregationUtils.toMeters(
+            obs.lat,
+            obs.lng,
+            originLat
+          );
+          expect(isInside(x, y, ring)).toBe(true);
+        });
+      });
+    }
+  );
+});
+
+describe("HotspotUtils.findHotspots", () => {
+  const options = { cellSize: 250, originLat: 19.07 };
+
+  // Deterministic pseudo-random numbers in [0, 1)
+  const random = (seed) => () => {
+    seed = (seed * 16807) % 2147483647;
+    return (seed - 1) / 2147483646;
+  };
+  const scatter = (count, { lat, lng, spread }, next) =>
+    Array.from({ length: count }, () => ({
+      type: "risk",
+      lat: lat + next() * spread,
+      lng: lng + next() * spread,
+    }));
+  const city = { lat: 19.0, lng: 72.8, spread: 0.05 };
+
+  test("uniform points give no hotspots", () => {
+    const points = scatter(400, city, random(7));
+    expect(HotspotUtils.findHotspots(points, options)).toEqual([]);
+  });
+
+  test("an injected cluster gives one hotspot around it", () => {
+    const next = random(7);
+    const cluster = scatter(
+      40,
+      { lat: 19.02, lng: 72.82, spread: 0.001 },
+      next
+    );
+    const points = [...scatter(400, city, next), ...cluster];
+
+    const hotspots = HotspotUtils.findHotspots(points, options);
+    expect(hotspots).toHaveLength(1);
+    const [[south, west], [north, east]] = hotspots[0].bounds;
+    expect(south).toBeLessThanOrEqual(19.02);
+    expect(north).toBeGreaterThanOrEqual(19.021);
+    expect(west).toBeLessThanOrEqual(72.82);
+    expect(east).toBeGreaterThanOrEqual(72.821);
+    expect(hotspots[0].observations).toEqual(expect.arrayContaining(cluster));
+  });
+
+  test("too few observations are not tested", () => {
+    const points = scatter(
+      HotspotUtils.MIN_OBSERVATIONS - 1,
+      { lat: 19.0, lng: 72.8, spread: 0.0005 },
+      random(3)
+    );
+    expect(HotspotUtils.findHotspots(points, options)).toEqual([]);
+  });
+});
+
+describe("TimeSeriesUtils.countByType", () => {
+  const dayMs = 24 * 60 * 60 * 1000;
+  const first = new Date(2025, 11, 1, 12).getTime();
+  const observations = [0, 10, 40].map((day) => ({
+    type: "risk",
+    timestamp: first + day * dayMs,
+  }));
+
+  test("an open-ended period ends the axis at the last observation", () => {
+    const { buckets } = TimeSeriesUtils.countByType(observations, {
+      interval: "day",
+      range: { start: -Infinity, end: first + 300 * dayMs },
+    });
+    expect(buckets).toHaveLength(41);
+    expect(buckets[0].start).toBe(new Date(2025, 11, 1).getTime());
+  });
+
+  test("a bounded period spans the whole range", () => {
+    const { buckets } = TimeSeriesUtils.countByType(observations, {
+      interval: "day",
+      range: { start: first - 5 * dayMs, end: first + 60 * dayMs },
+    });
+    expect(buckets).toHaveLength(66);
+  });
+});
+
+describe("PatternUtils.getTrend", () => {
+  const dayMs = 24 * 60 * 60 * 1000;
+  const start = Date.UTC(2025, 11, 1);
+  const range = { start, end: start + 30 * dayMs };
+
+  // perDay(day) observations at noon on each of the 30 days
+  const series = (perDay) =>
+    Array.from({ length: 30 }, (_, day) =>
+      Array.from({ length: perDay(day) }, () => ({
+        timestamp: start + day * dayMs + dayMs / 2,
+      }))
+    ).flat();
+
+  test("an increasing series comes out increasing", () => {
+    const result = PatternUtils.getTrend(
+      series((day) => day),
+      range
+    );
+    expect(result.trend).toBe("increasing");
+    expect(result.slope).toBeCloseTo(7);
+    expect(result.confidence).toBeGreaterThan(0.95);
+  });
+
+  test("a declining series comes out declining", () => {
+    const result = PatternUtils.getTrend(
+      series((day) => 30 - day),
+      range
+    );
+    expect(result.trend).toBe("declining");
+    expect(result.slope).toBeLessThan(0);
+  });
+
+  test("a flat series comes out stable", () => {
+    const result = PatternUtils.getTrend(
+      series(() => 2),
+      range
+    );
+    expect(result.trend).toBe("stable");
+    expect(result.slope).toBe(0);
+  });
+
+  test("fewer than the minimum observations are not tested", () => {
+    const observations = series((day) => (day < 7 ? 1 : 0));
+    expect(observations).toHaveLength(PatternUtils.TREND_MIN_OBSERVATIONS - 1);
+    expect(PatternUtils.getTrend(observations, range)).toMatchObject({
+      trend: "insufficient",
+      slope: null,
+      sampleSize: 7,
+    });
+  });
+
+  test("an open-ended range starts at the earliest observation", () => {
+    const observations = series((day) => (day < 10 ? 0 : day));
+    const open = { start: -Infinity, end: range.end };
+    expect(PatternUtils.getTrend(observations, open).trend).toBe("increasing");
+  });
+});
@@ -0,0 +1,55 @@
+// ============================================================================
+// ANALYTICS WORKER
+// ============================================================================
+//
+// Runs AnalyticsSession requests off the main thread.
+//
+// Main thread -> worker:
+//   { id, type, payload }   run a request (types listed on AnalyticsSession)
+//   { id, type: "cancel" }  drop request id if it has not started yet
+// Worker -> main thread:
+//   { id, result } or { id, error }
+//
+// Requests run one per task, so a cancel posted while one is running is
+// seen before the next one starts. A request that has already started still
+// finishes; the client discards its result.
+
+/* eslint-env worker */
+
+import { AnalyticsSession } from "./analytics";
+
+const session = new AnalyticsSession();
+const queue = [];
+let isScheduled = false;
+
+const schedule = () => {
+  if (isScheduled || queue.length === 0) return;
+  isScheduled = true;
+  setTimeout(runNext, 0);
+};
+
+const runNext = () => {
+  isScheduled = false;
+  const job = queue.shift();
+  if (!job) return;
+
+  try {
+    postMessage({
+      id: job.id,
+      result: session.handle(job.type, job.payload),
+    });
+  } catch (error) {
+    postMessage({ id: job.id, error: error.message });
+  }
+  schedule();
+};
+
+onmessage = ({ data }) => {
+  if (data.type === "cancel") {
+    const index = queue.findIndex((job) => job.id === data.id);
+    if (index >= 0) queue.splice(index, 1);
+    return;
+  }
+  queue.push(data);
+  schedule();
+};
@@ -6,82 +6,309 @@ import React, {
   useCallback,
 } from "react";
 import { MapPin, AlertCircle, Construction, Eye } from "lucide-react";
+import observationsFile from "./observations.json";
+import configFile from "./config.json";
+import { SpatialIndex, getDistance } from "./spatialIndex";
+import {
+  OBSERVATION_TYPES,
+  TIME_OF_DAY_BUCKETS,
+  OBSERVATION_STATUSES,
+  DAY_FILTERS,
+  TimeFilterUtils,
+  HourOfWeekUtils,
+  StatsUtils,
+  AggregationUtils,
+  PatternUtils,
+  SearchUtils,
+  AnalyticsSession,
+} from "./analytics";
 
 // ============================================================================
 // CONSTANTS & THEME
 // ============================================================================
 
-const THEME = {
-  colors: {
-    black: "#000000",
-    white: "#FFFFFF",
-    gray: {
-      dark: "#333333",
-      medium: "#666666",
-      light: "#999999",
-      lighter: "#CCCCCC",
-      lightest: "#E0E0E0",
-      background: "#F5F5F5",
-      backgroundAlt: "#FAFAFA",
-    },
+// Built-in defaults; any value missing or invalid in config.json falls back here
+const DEFAULT_CONFIG = {
+  mapConfig: {
+    center: [19.076, 72.8777], // Mumbai
+    initialZoom: 12,
+    minZoom: 8,
+    maxZoom: 18,
+    clusterRadiusPixels: 50,
+    localPatternRadius: 200, // meters for nearby pattern analysis
+    heatmapBandwidth: 150, // meters, kernel width of the density layer
+    gridCellSize: 500, // meters, default width of aggregation cells
+    locationName: "Mumbai",
+  },
+  timeWindows: {
+    "24h": { ms: 24 * 60 * 60 * 1000, label: "24h" },
+    "7d": { ms: 7 * 24 * 60 * 60 * 1000, label: "7d" },
+    "30d": { ms: 30 * 24 * 60 * 60 * 1000, label: "30d" },
+    persistent: { ms: Infinity, label: "All" },
+  },
+  defaultTimeWindow: "30d",
+  observationTypes: {
+    violation: { label: "Violation", icon: "AlertCircle" },
+    risk: { label: "Risk Behavior", icon: "Eye" },
+    infrastructure: { label: "Infrastructure", icon: "Construction" },
+  },
+  statusExplanations: {
+    resolved:
+      "Marked resolved following infrastructure adjustment in this area.",
+    acknowledged:
+      "Acknowledged and under continued monitoring by traffic management.",
+    pending: "Currently in institutional review queue.",
+    dismissed:
+      "Reviewed and determined non-actionable based on pattern analysis.",
+    under_review: "Under evaluation by municipal traffic authority.",
   },
-  typography: {
-    sizes: {
-      xlarge: "1.5rem",
-      large: "1.1rem",
-      base: "0.9rem",
-      small: "0.75rem",
-      xsmall: "0.7rem",
-      xxsmall: "0.65rem",
-      tiny: "0.6rem",
+  outcomeDetails: {
+    resolved: {
+      change: "Road marking restoration",
+      authority: "Municipal roads division",
     },
-    weights: {
-      light: "300",
-      normal: "400",
-      medium: "500",
-      semibold: "600",
-      bold: "700",
+    acknowledged: {
+      change: "Monitoring protocol active",
+      authority: "Traffic management cell",
+    },
+    dismissed: {
+      change:
+        "Pattern analysis determined no systemic intervention required at this time.",
+      authority: null,
     },
   },
-  spacing: {
-    xs: "0.25rem",
-    sm: "0.5rem",
-    md: "0.75rem",
-    lg: "1rem",
-    xl: "1.5rem",
-    xxl: "2rem",
+  theme: {
+    colors: {
+      black: "#000000",
+      white: "#FFFFFF",
+      gray: {
+        dark: "#333333",
+        medium: "#666666",
+        light: "#999999",
+        lighter: "#CCCCCC",
+        lightest: "#E0E0E0",
+        background: "#F5F5F5",
+        backgroundAlt: "#FAFAFA",
+      },
+    },
+    typography: {
+      sizes: {
+        xlarge: "1.5rem",
+        large: "1.1rem",
+        base: "0.9rem",
+        small: "0.75rem",
+        xsmall: "0.7rem",
+        xxsmall: "0.65rem",
+        tiny: "0.6rem",
+      },
+      weights: {
+        light: "300",
+        normal: "400",
+        medium: "500",
+        semibold: "600",
+        bold: "700",
+      },
+    },
+    spacing: {
+      xs: "0.25rem",
+      sm: "0.5rem",
+      md: "0.75rem",
+      lg: "1rem",
+      xl: "1.5rem",
+      xxl: "2rem",
+    },
   },
 };
 
-const MAP_CONFIG = {
-  center: [19.076, 72.8777], // Mumbai
-  initialZoom: 12,
-  minZoom: 8,
-  maxZoom: 18,
-  clusterRadiusPixels: 50,
-  localPatternRadius: 200, // meters for nearby pattern analysis
+// Live views of the active configuration, filled in by ConfigService.apply
+const THEME = {};
+const MAP_CONFIG = {};
+const TIME_WINDOWS = {};
+
+const TYPE_ICONS = { MapPin, AlertCircle, Construction, Eye };
+
+// PERIOD value for an absolute from/to date range instead of a TIME_WINDOWS key
+const CUSTOM_PERIOD = "custom";
+
+// Zoom the map moves to (at least) when search lands on a single record
+const SEARCH_RESULT_ZOOM = 16;
+
+const UNRESOLVED_STATUSES = Object.keys(OBSERVATION_STATUSES).filter(
+  (status) => !OBSERVATION_STATUSES[status].resolved
+);
+
+// How observations are drawn on the map
+const MAP_LAYERS = {
+  MARKERS: "markers",
+  HEATMAP: "heatmap",
+  GRID: "grid",
+};
+
+// Aggregation cell shapes and the widths (meters) offered besides the default
+const GRID_SHAPES = {
+  square: { label: "Square" },
+  hex: { label: "Hexagon" },
+};
+const GRID_CELL_SIZES = [250, 500, 1000, 2000];
+
+// Range of the local pattern radius slider, in meters
+const LOCAL_RADIUS_LIMITS = { min: 50, max: 1000, step: 25 };
+
+// Time series chart intervals (null picks one from the period's span)
+const SERIES_INTERVALS = {
+  day: { label: "Daily" },
+  week: { label: "Weekly" },
+};
+
+// Playback window lengths in days, and delays between frames in ms
+const PLAYBACK_WINDOWS = [1, 7, 30];
+const PLAYBACK_SPEEDS = [
+  { label: "½×", delay: 1600 },
+  { label: "1×", delay: 800 },
+  { label: "2×", delay: 400 },
+  { label: "4×", delay: 200 },
+];
+
+// Hotspot analysis: Gi* cell width in meters and false discovery rate
+const HOTSPOT_ANALYSIS = { cellSize: 250, alpha: 0.05 };
+
+// Mann-Kendall trend outcomes (see PatternUtils.getTrend)
+const TREND_LABELS = {
+  increasing: "Increasing",
+  declining: "Declining",
+  stable: "No clear trend",
+  insufficient: "Too few to tell",
 };
 
+// Density layer weightings; resolved records count for less under "status"
+const HEATMAP_WEIGHTINGS = {
+  count: { label: "Count" },
+  type: { label: "Type-balanced" },
+  status: { label: "Unresolved", resolvedWeight: 0.25 },
+};
+
+// Density ramp from empty to peak as [stop, [r, g, b, alpha]]
+const HEATMAP_RAMP = [
+  [0, [255, 255, 255, 0]],
+  [0.2, [204, 204, 204, 0.35]],
+  [0.5, [102, 102, 102, 0.6]],
+  [1, [0, 0, 0, 0.85]],
+];
+
 const PATTERN_MODE = {
   NONE: "none",
   CITY_WIDE: "city_wide",
   LOCAL: "local",
+  REGION: "region",
+  HOTSPOTS: "hotspots",
 };
 
-const TIME_WINDOWS = {
-  "24h": { ms: 24 * 60 * 60 * 1000, label: "24h" },
-  "7d": { ms: 7 * 24 * 60 * 60 * 1000, label: "7d" },
-  "30d": { ms: 30 * 24 * 60 * 60 * 1000, label: "30d" },
-  persistent: { ms: Infinity, label: "All" },
+// Shapes that can be drawn on the map to define an analysis region
+const REGION_SHAPES = {
+  polygon: {
+    label: "Polygon",
+    hint: "Click to add corners; double-click to finish.",
+  },
+  rectangle: { label: "Rectangle", hint: "Drag from one corner to the other." },
+  circle: { label: "Circle", hint: "Drag from the centre outwards." },
 };
 
 // ============================================================================
-// DATA LAYER (Seeded for deterministic mock data)
+// DATA LAYER
 // ============================================================================
 
+const DATA_SOURCE_TYPES = {
+  STATIC: "static", // JSON file bundled with the app
+  URL: "url", // JSON served from an endpoint
+  MEMORY: "memory", // Array supplied directly
+  DEMO: "demo", // Seeded mock generator
+};
+
+// Bundled datasets addressable by static sources
+const STATIC_DATASETS = {
+  pune: observationsFile,
+};
+
+const DEFAULT_DATA_SOURCE = process.env.REACT_APP_OBSERVATIONS_URL
+  ? { type: DATA_SOURCE_TYPES.URL, url: process.env.REACT_APP_OBSERVATIONS_URL }
+  : { type: DATA_SOURCE_TYPES.STATIC, dataset: "pune" };
+
+const DATA_STATUS = {
+  LOADING: "loading",
+  READY: "ready",
+  ERROR: "error",
+};
+
 class ObservationDataService {
   static seed = 12345; // Fixed seed for deterministic data
 
+  // Load observations from a data source descriptor
+  static async load(source, { signal } = {}) {
+    switch (source?.type) {
+      case DATA_SOURCE_TYPES.STATIC: {
+        const dataset = STATIC_DATASETS[source.dataset];
+        if (!dataset) {
+          throw new Error(`Unknown static dataset: ${source.dataset}`);
+        }
+        return this.normalizeObservations(this.unwrapPayload(dataset));
+      }
+
+      case DATA_SOURCE_TYPES.URL: {
+        const response = await fetch(source.url, { signal });
+        if (!response.ok) {
+          throw new Error(
+            `Failed to load observations from ${source.url} (HTTP ${response.status})`
+          );
+        }
+        const payload = await response.json();
+        return this.normalizeObservations(this.unwrapPayload(payload));
+      }
+
+      case DATA_SOURCE_TYPES.MEMORY:
+        return this.normalizeObservations(source.observations || []);
+
+      case DATA_SOURCE_TYPES.DEMO:
+        // Reset seed so every demo load yields the same records
+        this.seed = source.seed ?? 12345;
+        return this.generateMockObservations(source.count ?? 150);
+
+      default:
+        throw new Error(`Unknown data source type: ${source?.type}`);
+    }
+  }
+
+  // Accept either a bare array or the { observations: [...] } file format
+  static unwrapPayload(payload) {
+    if (Array.isArray(payload)) return payload;
+    if (payload && Array.isArray(payload.observations)) {
+      return payload.observations;
+    }
+    throw new Error("Observation data must be an array or { observations }");
+  }
+
+  // Drop records that cannot be placed on the map or in time
+  static normalizeObservations(records) {
+    return records
+      .filter(
+        (record) =>
+          record &&
+          record.id != null &&
+          Number.isFinite(Number(record.lat)) &&
+          Number.isFinite(Number(record.lng)) &&
+          Number.isFinite(Number(record.timestamp))
+      )
+      .map((record) => ({
+        ...record,
+        id: String(record.id),
+        lat: Number(record.lat),
+        lng: Number(record.lng),
+        timestamp: Number(record.timestamp),
+        description: record.description || "",
+        media: record.media || null,
+        hasMultipleMedia: Boolean(record.hasMultipleMedia),
+      }));
+  }
+
   static seededRandom() {
     const x = Math.sin(this.seed++) * 10000;
     return x - Math.floor(x);
@@ -152,1195 +379,5672 @@ class ObservationDataService {
   }
 }
 
-// ============================================================================
-// UTILITIES
-// ============================================================================
+// Administrative boundary levels a city can provide, coarsest first
+const BOUNDARY_LEVELS = {
+  district: { label: "District" },
+  ward: { label: "Ward" },
+};
 
-const TimeUtils = {
-  getDaysAgo(timestamp) {
-    const now = Date.now();
-    const diff = now - timestamp;
-    if (diff < 0) return 0; // Prevent negative values
-    return Math.floor(diff / (1000 * 60 * 60 * 24));
+// Per-area metrics the choropleth can shade by; darker is always worse
+const AREA_METRICS = {
+  reviewRate: {
+    label: "Review rate",
+    higherIsWorse: false,
+    getValue: (stats) => (stats.total > 0 ? Number(stats.reviewRate) : null),
+    format: (value) => `${Math.round(value)}%`,
   },
-
-  getTimeWindow(timestamp) {
-    const date = new Date(timestamp);
-    const hour = date.getHours();
-
-    if (hour < 6) return "Early morning";
-    if (hour < 10) return "Morning peak";
-    if (hour < 16) return "Midday";
-    if (hour < 20) return "Evening peak";
-    return "Night hours";
+  medianResponse: {
+    label: "Median response",
+    higherIsWorse: true,
+    getValue: (stats) => stats.medianResponseTime,
+    format: (value) => `${value}d`,
   },
-
-  formatRelativeTime(timestamp) {
-    const daysAgo = this.getDaysAgo(timestamp);
-    if (daysAgo === 0) return "Today";
-    if (daysAgo === 1) return "1 day ago";
-    return `${daysAgo} days ago`;
+  // Only has values while comparing periods (see AreaUtils.addPreviousTotals)
+  change: {
+    label: "Change",
+    higherIsWorse: true,
+    requiresComparison: true,
+    getValue: (stats) =>
+      stats.previousTotal === undefined
+        ? null
+        : stats.total - stats.previousTotal,
+    format: (value) => ContentUtils.formatChange(value, 0),
   },
 };
 
-const StatsUtils = {
-  calculateObservationStats(observations) {
-    const total = observations.length;
+// Area level for boundaries read from a local GeoJSON file
+const UPLOADED_BOUNDARIES = "upload";
 
-    if (total === 0) {
-      return {
-        total: 0,
-        byType: { violation: 0, risk: 0, infrastructure: 0 },
-        avgResponseTime: 0,
-        reviewRate: "0.0",
-      };
-    }
+class BoundaryService {
+  // Property names tried, in order, when a source names none
+  static NAME_PROPERTIES = ["name", "NAME", "ward_name", "WARD_NAME", "ward"];
 
-    const byType = {
-      violation: observations.filter((o) => o.type === "violation").length,
-      risk: observations.filter((o) => o.type === "risk").length,
-      infrastructure: observations.filter((o) => o.type === "infrastructure")
-        .length,
-    };
+  // Load areas from a boundary source ({ url, nameProperty })
+  static async load(source, { signal } = {}) {
+    const response = await fetch(source.url, { signal });
+    if (!response.ok) {
+      throw new Error(
+        `Failed to load boundaries from ${source.url} (HTTP ${response.status})`
+      );
+    }
+    return this.normalize(await response.json(), source);
+  }
 
-    const withResponseTime = observations.filter(
-      (o) => o.response_time && o.response_time > 0
-    );
-    const avgResponseTime =
-      withResponseTime.length > 0
-        ? Math.round(
-            withResponseTime.reduce((acc, o) => acc + o.response_time, 0) /
-              withResponseTime.length
-          )
-        : 0;
+  // FeatureCollection -> areas with a name, [lng, lat] rings and a bbox;
+  // features that are not (Multi)Polygons are skipped
+  static normalize(geojson, { nameProperty } = {}) {
+    const features =
+      geojson?.type === "FeatureCollection" ? geojson.features : null;
+    if (!Array.isArray(features)) {
+      throw new Error("Boundaries must be a GeoJSON FeatureCollection");
+    }
 
-    const reviewed = observations.filter((o) => o.status !== "pending").length;
-    const reviewRate =
-      total > 0 ? ((reviewed / total) * 100).toFixed(1) : "0.0";
+    const areas = [];
+    const ids = new Set();
+    features.forEach((feature, index) => {
+      const geometry = feature?.geometry;
+      let polygons = null;
+      if (geometry?.type === "Polygon") polygons = [geometry.coordinates];
+      else if (geometry?.type === "MultiPolygon") {
+        polygons = geometry.coordinates;
+      }
+      if (!Array.isArray(polygons) || polygons.length === 0) return;
 
-    return { total, byType, avgResponseTime, reviewRate };
-  },
-};
+      const properties = feature.properties || {};
+      const key = [nameProperty, ...this.NAME_PROPERTIES].find(
+        (name) => name && properties[name] != null
+      );
+      const name = key ? String(properties[key]) : `Area ${index + 1}`;
+
+      const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+      polygons.forEach((rings) =>
+        rings[0].forEach(([lng, lat]) => {
+          bbox[0] = Math.min(bbox[0], lng);
+          bbox[1] = Math.min(bbox[1], lat);
+          bbox[2] = Math.max(bbox[2], lng);
+          bbox[3] = Math.max(bbox[3], lat);
+        })
+      );
 
-const MapUtils = {
-  getMarkerRadius(zoomLevel) {
-    if (zoomLevel <= 10) return 6;
-    if (zoomLevel <= 13) return 5;
-    return 4;
-  },
+      // Areas are keyed by id, so a repeated one gets a suffix
+      const baseId = String(feature.id ?? properties.id ?? `${index}`);
+      let id = baseId;
+      for (let n = 2; ids.has(id); n++) id = `${baseId}_${n}`;
+      ids.add(id);
+
+      areas.push({
+        id,
+        name,
+        polygons,
+        bbox,
+      });
+    });
 
-  getMarkerWeight(status) {
-    const weights = {
-      pending: 1,
-      under_review: 2,
-      acknowledged: 2,
-      resolved: 3,
-      dismissed: 1,
-    };
-    return weights[status] || 1;
-  },
+    if (areas.length === 0) {
+      throw new Error("Boundaries contain no Polygon or MultiPolygon features");
+    }
+    return areas;
+  }
+}
 
-  getClusterSize(count) {
-    if (count > 50) return "large";
-    if (count > 10) return "medium";
-    return "small";
-  },
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
 
-  getClusterDimensions(size) {
-    const dimensions = {
-      large: { width: 50, height: 50, fontSize: "16px" },
-      medium: { width: 40, height: 40, fontSize: "14px" },
-      small: { width: 32, height: 32, fontSize: "12px" },
-    };
-    return dimensions[size] || dimensions.small;
-  },
+const CONFIG_STATUS = {
+  LOADING: "loading",
+  READY: "ready",
+  ERROR: "error",
+};
 
-  // Calculate distance between two lat/lng points in meters (Haversine formula)
-  getDistance(lat1, lng1, lat2, lng2) {
-    const R = 6371e3; // Earth's radius in meters
-    const φ1 = (lat1 * Math.PI) / 180;
-    const φ2 = (lat2 * Math.PI) / 180;
-    const Δφ = ((lat2 - lat1) * Math.PI) / 180;
-    const Δλ = ((lng2 - lng1) * Math.PI) / 180;
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
 
-    const a =
-      Math.sin(Δφ / 2) * Math.sin(Δφ / 2) +
-      Math.cos(φ1) * Math.cos(φ2) * Math.sin(Δλ / 2) * Math.sin(Δλ / 2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+const isPositiveNumber = (value) => Number.isFinite(value) && value > 0;
 
-    return R * c;
-  },
+// Config text is shown as text, never markup
+const isPlainText = (value) => typeof value === "string" && !/[<>]/.test(value);
 
-  // Get bounding box that contains all points
-  getBoundsForPoints(points) {
-    if (points.length === 0) return null;
+// Theme tokens also go into inline styles, so nothing that can end a value
+const isStyleValue = (value) =>
+  typeof value === "string" && !/[<>"`;{}\\]/.test(value);
 
-    let minLat = points[0].lat;
-    let maxLat = points[0].lat;
-    let minLng = points[0].lng;
-    let maxLng = points[0].lng;
+class ConfigService {
+  static current = DEFAULT_CONFIG;
 
-    points.forEach((p) => {
-      if (p.lat < minLat) minLat = p.lat;
-      if (p.lat > maxLat) maxLat = p.lat;
-      if (p.lng < minLng) minLng = p.lng;
-      if (p.lng > maxLng) maxLng = p.lng;
-    });
+  // Where to fetch a runtime config from, if anywhere (?config= wins over env)
+  static getConfigUrl() {
+    if (typeof window !== "undefined") {
+      const fromQuery = new URLSearchParams(window.location.search).get(
+        "config"
+      );
+      if (fromQuery) return fromQuery;
+    }
+    return process.env.REACT_APP_CONFIG_URL || null;
+  }
 
-    return [
-      [minLat, minLng],
-      [maxLat, maxLng],
-    ];
-  },
-};
+  // A config picks data sources and labels, so a link may only name one on
+  // this origin or on an origin listed in REACT_APP_CONFIG_ORIGINS
+  static isAllowedConfigUrl(url) {
+    if (url === process.env.REACT_APP_CONFIG_URL) return true;
+    let origin;
+    try {
+      origin = new URL(url, window.location.href).origin;
+    } catch {
+      return false;
+    }
+    const allowed = (process.env.REACT_APP_CONFIG_ORIGINS || "")
+      .split(",")
+      .map((entry) => entry.trim())
+      .filter(Boolean);
+    return origin === window.location.origin || allowed.includes(origin);
+  }
 
-const PatternUtils = {
-  // Filter observations matching a pattern type
-  getMatchingObservations(observations, referenceObservation) {
-    return observations.filter((obs) => obs.type === referenceObservation.type);
-  },
+  // Fetch and validate a runtime config, or fall back to the bundled file
+  static async load({ signal } = {}) {
+    const url = this.getConfigUrl();
+    if (!url) return this.validate(configFile);
+    if (!this.isAllowedConfigUrl(url)) {
+      throw new Error(`Configuration from ${url} is not allowed`);
+    }
 
-  // Get observations within radius of a point
-  getNearbyObservations(observations, centerLat, centerLng, radiusMeters) {
-    return observations.filter((obs) => {
-      const distance = MapUtils.getDistance(
-        centerLat,
-        centerLng,
-        obs.lat,
-        obs.lng
+    const response = await fetch(url, { signal });
+    if (!response.ok) {
+      throw new Error(
+        `Failed to load configuration from ${url} (HTTP ${response.status})`
       );
-      return distance <= radiusMeters;
-    });
-  },
+    }
+    return this.validate(await response.json());
+  }
 
-  // Calculate pattern statistics for city-wide analysis
-  calculateCityWideStats(observations, timeWindowMs) {
-    const now = Date.now();
-    const recentObs = observations.filter(
-      (obs) => now - obs.timestamp < timeWindowMs
-    );
+  // Validate raw config against DEFAULT_CONFIG; invalid parts fall back
+  static validate(raw) {
+    if (!isPlainObject(raw)) {
+      throw new Error("Configuration must be a JSON object");
+    }
 
-    // Calculate unique zones (simplified grid-based approach)
-    const uniqueZones = new Set(
-      observations.map(
-        (obs) => `${Math.floor(obs.lat * 100)}_${Math.floor(obs.lng * 100)}`
-      )
-    ).size;
+    const warnings = [];
+    const timeWindows = this.validateTimeWindows(raw.timeWindows, warnings);
+
+    let defaultTimeWindow =
+      raw.defaultTimeWindow ?? DEFAULT_CONFIG.defaultTimeWindow;
+    if (!timeWindows[defaultTimeWindow]) {
+      defaultTimeWindow = Object.keys(timeWindows)[0];
+    }
 
-    // Calculate trend (compare first half vs second half of time window)
-    const midpoint = now - timeWindowMs / 2;
-    const recentCount = observations.filter(
-      (obs) => obs.timestamp > midpoint
-    ).length;
-    const olderCount = observations.filter(
-      (obs) => obs.timestamp <= midpoint
-    ).length;
+    const mapConfig = this.validateMapConfig(raw.mapConfig, warnings);
+    const cities = this.validateCities(raw.cities, mapConfig, warnings);
 
-    let trend = "stable";
-    if (recentCount > olderCount * 1.2) trend = "increasing";
-    else if (recentCount < olderCount * 0.8) trend = "declining";
+    let defaultCity = raw.defaultCity;
+    if (!cities[defaultCity]) {
+      if (defaultCity !== undefined) {
+        warnings.push(`defaultCity "${defaultCity}" is not a known city`);
+      }
+      defaultCity = Object.keys(cities)[0];
+    }
 
-    return {
-      total: observations.length,
-      affectedZones: uniqueZones,
-      trend,
-      recentCount,
+    const config = {
+      mapConfig,
+      cities,
+      defaultCity,
+      timeWindows,
+      defaultTimeWindow,
+      observationTypes: this.validateObservationTypes(
+        raw.observationTypes,
+        warnings
+      ),
+      statusExplanations: this.mergeEntries(
+        DEFAULT_CONFIG.statusExplanations,
+        raw.statusExplanations,
+        isPlainText,
+        "statusExplanations",
+        warnings
+      ),
+      outcomeDetails: this.mergeEntries(
+        DEFAULT_CONFIG.outcomeDetails,
+        raw.outcomeDetails,
+        (value) =>
+          isPlainObject(value) &&
+          isPlainText(value.change) &&
+          (value.authority === null || isPlainText(value.authority)),
+        "outcomeDetails",
+        warnings
+      ),
+      theme: this.mergeTheme(
+        DEFAULT_CONFIG.theme,
+        raw.theme,
+        "theme",
+        warnings
+      ),
     };
-  },
 
-  // Calculate local pattern statistics
-  calculateLocalStats(observations, timeWindowMs) {
-    if (observations.length === 0) return null;
+    return { config, warnings };
+  }
 
-    const timestamps = observations
-      .map((o) => o.timestamp)
-      .sort((a, b) => a - b);
-    const timeSpan = timestamps[timestamps.length - 1] - timestamps[0];
-    const timeSpanDays = Math.ceil(timeSpan / (1000 * 60 * 60 * 24));
+  static validateMapConfig(raw, warnings) {
+    const defaults = DEFAULT_CONFIG.mapConfig;
+    if (raw === undefined) return { ...defaults };
+    if (!isPlainObject(raw)) {
+      warnings.push("mapConfig must be an object; using defaults");
+      return { ...defaults };
+    }
 
-    // Local trend
-    const now = Date.now();
-    const midpoint = now - timeWindowMs / 2;
-    const recentCount = observations.filter(
-      (obs) => obs.timestamp > midpoint
-    ).length;
-    const olderCount = observations.filter(
-      (obs) => obs.timestamp <= midpoint
-    ).length;
-
-    let trend = "stable";
-    if (recentCount > olderCount * 1.2) trend = "increasing";
-    else if (recentCount < olderCount * 0.8) trend = "declining";
+    const result = { ...defaults, ...raw };
 
-    return {
-      count: observations.length,
-      timeSpanDays,
-      trend,
-    };
-  },
-};
+    const [lat, lng] = Array.isArray(raw.center) ? raw.center : [];
+    if (
+      raw.center !== undefined &&
+      !(
+        Number.isFinite(lat) &&
+        Number.isFinite(lng) &&
+        Math.abs(lat) <= 90 &&
+        Math.abs(lng) <= 180
+      )
+    ) {
+      warnings.push("mapConfig.center must be [lat, lng]; using default");
+      result.center = defaults.center;
+    }
 
-const ContentUtils = {
-  getTypeLabel(type) {
-    const labels = {
-      violation: "Violation",
-      risk: "Risk Behavior",
-      infrastructure: "Infrastructure",
-    };
-    return labels[type] || "Observation";
-  },
+    ["initialZoom", "minZoom", "maxZoom"].forEach((key) => {
+      if (raw[key] !== undefined && !Number.isFinite(raw[key])) {
+        warnings.push(`mapConfig.${key} must be a number; using default`);
+        result[key] = defaults[key];
+      }
+    });
+    if (result.minZoom > result.maxZoom) {
+      warnings.push("mapConfig.minZoom exceeds maxZoom; using defaults");
+      result.minZoom = defaults.minZoom;
+      result.maxZoom = defaults.maxZoom;
+    }
+    result.initialZoom = Math.min(
+      Math.max(result.initialZoom, result.minZoom),
+      result.maxZoom
+    );
 
-  getStatusExplanation(status) {
-    const explanations = {
-      resolved:
-        "Marked resolved following infrastructure adjustment in this area.",
-      acknowledged:
-        "Acknowledged and under continued monitoring by traffic management.",
-      pending: "Currently in institutional review queue.",
-      dismissed:
-        "Reviewed and determined non-actionable based on pattern analysis.",
-      under_review: "Under evaluation by municipal traffic authority.",
-    };
-    return explanations[status] || "Status under review.";
-  },
+    [
+      "clusterRadiusPixels",
+      "localPatternRadius",
+      "heatmapBandwidth",
+      "gridCellSize",
+    ].forEach((key) => {
+      if (raw[key] !== undefined && !isPositiveNumber(raw[key])) {
+        warnings.push(`mapConfig.${key} must be positive; using default`);
+        result[key] = defaults[key];
+      }
+    });
 
-  getOutcomeDetails(status) {
-    const details = {
-      resolved: {
-        change: "Road marking restoration",
-        authority: "Municipal roads division",
-      },
-      acknowledged: {
-        change: "Monitoring protocol active",
-        authority: "Traffic management cell",
-      },
-      dismissed: {
-        change:
-          "Pattern analysis determined no systemic intervention required at this time.",
-        authority: null,
-      },
-    };
-    return details[status] || null;
-  },
-};
+    if (!isPlainText(result.locationName)) {
+      warnings.push("mapConfig.locationName must be plain text; using default");
+      result.locationName = defaults.locationName;
+    }
 
-// ============================================================================
-// MAIN COMPONENT
-// ============================================================================
+    return result;
+  }
 
-const RoadCommonsTransparency = () => {
-  // State
-  const [lens, setLens] = useState("all");
-  const [timeFilter, setTimeFilter] = useState("30d");
-  const [zoomLevel, setZoomLevel] = useState(MAP_CONFIG.initialZoom);
-  const [selectedObservation, setSelectedObservation] = useState(null);
-  const [expandedDetail, setExpandedDetail] = useState(false);
-  const [sidebarOpen, setSidebarOpen] = useState(true);
-  const [mapLoaded, setMapLoaded] = useState(false);
-  const [visibleObservations, setVisibleObservations] = useState([]);
+  // City registry; without one, mapConfig describes a single city
+  static validateCities(raw, mapConfig, warnings) {
+    const fromMapConfig = (overrides = {}) => ({
+      name: mapConfig.locationName,
+      center: mapConfig.center,
+      bounds: null,
+      initialZoom: mapConfig.initialZoom,
+      minZoom: mapConfig.minZoom,
+      maxZoom: mapConfig.maxZoom,
+      dataSource: DEFAULT_DATA_SOURCE,
+      boundaries: {},
+      ...overrides,
+    });
 
-  // Pattern analysis mode state
-  const [patternMode, setPatternMode] = useState(PATTERN_MODE.NONE);
-  const [patternData, setPatternData] = useState(null);
-  const [savedMapState, setSavedMapState] = useState(null);
+    if (raw === undefined) return { default: fromMapConfig() };
+    if (!isPlainObject(raw)) {
+      warnings.push("cities must be an object; using mapConfig");
+      return { default: fromMapConfig() };
+    }
 
-  // Refs
-  const mapRef = useRef(null);
-  const mapInstanceRef = useRef(null);
-  const markersLayerRef = useRef(null);
-  const sidebarContentRef = useRef(null);
-  const localPatternCircleRef = useRef(null);
+    const result = {};
+    Object.entries(raw).forEach(([id, value]) => {
+      if (!isPlainObject(value)) {
+        warnings.push(`cities.${id} is invalid; skipped`);
+        return;
+      }
 
-  // Generate observations once (deterministic)
-  const observations = useMemo(
-    () => ObservationDataService.generateMockObservations(150),
-    []
-  );
+      const [lat, lng] = Array.isArray(value.center) ? value.center : [];
+      if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
+        warnings.push(`cities.${id}.center must be [lat, lng]; skipped`);
+        return;
+      }
 
-  // Memoized filtered data
-  const filteredData = useMemo(() => {
-    let filtered = observations;
+      const city = fromMapConfig({
+        name: isPlainText(value.name) ? value.name : id,
+        center: [lat, lng],
+      });
 
-    // Apply lens filter
-    if (lens !== "all") {
-      filtered = filtered.filter((obs) => obs.type === lens);
-    }
+      ["initialZoom", "minZoom", "maxZoom"].forEach((key) => {
+        if (Number.isFinite(value[key])) city[key] = value[key];
+        else if (value[key] !== undefined) {
+          warnings.push(`cities.${id}.${key} must be a number; using default`);
+        }
+      });
+      if (city.minZoom > city.maxZoom) {
+        warnings.push(`cities.${id} minZoom exceeds maxZoom; using defaults`);
+        city.minZoom = mapConfig.minZoom;
+        city.maxZoom = mapConfig.maxZoom;
+      }
+      city.initialZoom = Math.min(
+        Math.max(city.initialZoom, city.minZoom),
+        city.maxZoom
+      );
 
-    // Apply time filter
-    const now = Date.now();
-    const timeWindow = TIME_WINDOWS[timeFilter];
-    if (timeWindow && timeWindow.ms !== Infinity) {
-      filtered = filtered.filter((obs) => now - obs.timestamp < timeWindow.ms);
-    }
+      if (value.bounds !== undefined) {
+        const bounds = value.bounds;
+        const isValidBounds =
+          Array.isArray(bounds) &&
+          bounds.length === 2 &&
+          bounds.every(
+            (corner) =>
+              Array.isArray(corner) &&
+              corner.length === 2 &&
+              corner.every(Number.isFinite)
+          ) &&
+          bounds[0][0] < bounds[1][0] &&
+          bounds[0][1] < bounds[1][1];
+        if (isValidBounds) city.bounds = bounds;
+        else {
+          warnings.push(
+            `cities.${id}.bounds must be [[south, west], [north, east]]; ignored`
+          );
+        }
+      }
+
+      if (value.dataSource !== undefined) {
+        const source = value.dataSource;
+        const isValidSource =
+          isPlainObject(source) &&
+          Object.values(DATA_SOURCE_TYPES).includes(source.type) &&
+          (source.type !== DATA_SOURCE_TYPES.URL ||
+            typeof source.url === "string") &&
+          (source.type !== DATA_SOURCE_TYPES.STATIC ||
+            typeof source.dataset === "string");
+        if (isValidSource) city.dataSource = source;
+        else {
+          warnings.push(`cities.${id}.dataSource is invalid; using default`);
+        }
+      }
 
-    return filtered;
-  }, [observations, lens, timeFilter]);
+      city.boundaries = {};
+      if (value.boundaries !== undefined) {
+        if (!isPlainObject(value.boundaries)) {
+          warnings.push(`cities.${id}.boundaries must be an object; ignored`);
+        } else {
+          Object.entries(value.boundaries).forEach(([level, source]) => {
+            if (
+              BOUNDARY_LEVELS[level] &&
+              isPlainObject(source) &&
+              typeof source.url === "string"
+            ) {
+              city.boundaries[level] = source;
+            } else {
+              warnings.push(
+                `cities.${id}.boundaries.${level} is invalid; skipped`
+              );
+            }
+          });
+        }
+      }
 
-  // Calculate stats from visible or filtered data
-  const stats = useMemo(() => {
-    const dataToUse =
-      visibleObservations.length > 0 ? visibleObservations : filteredData;
-    return StatsUtils.calculateObservationStats(dataToUse);
-  }, [visibleObservations, filteredData]);
+      result[id] = city;
+    });
 
-  // Check if selected observation is still in filtered dataset
-  useEffect(() => {
-    if (
-      selectedObservation &&
-      !filteredData.find((obs) => obs.id === selectedObservation.id)
-    ) {
-      setSelectedObservation(null);
-      setExpandedDetail(false);
+    if (Object.keys(result).length === 0) {
+      warnings.push("cities has no valid entries; using mapConfig");
+      return { default: fromMapConfig() };
     }
-  }, [filteredData, selectedObservation]);
+    return result;
+  }
 
-  // Reset sidebar scroll when new observation selected
-  useEffect(() => {
-    if (selectedObservation && sidebarContentRef.current) {
-      sidebarContentRef.current.scrollTop = 0;
-    }
-  }, [selectedObservation]);
-
-  // Load Leaflet dynamically
-  useEffect(() => {
-    if (typeof window === "undefined" || mapLoaded) return;
-
-    const loadLeaflet = () => {
-      if (window.L) {
-        setMapLoaded(true);
-        return;
-      }
-
-      const link = document.createElement("link");
-      link.rel = "stylesheet";
-      link.href = "https://unpkg.com/leaflet@1.9.4/dist/leaflet.css";
-      document.head.appendChild(link);
-
-      const script = document.createElement("script");
-      script.src = "https://unpkg.com/leaflet@1.9.4/dist/leaflet.js";
-      script.onload = () => {
-        const clusterCSS = document.createElement("link");
-        clusterCSS.rel = "stylesheet";
-        clusterCSS.href =
-          "https://unpkg.com/leaflet.markercluster@1.5.3/dist/MarkerCluster.css";
-        document.head.appendChild(clusterCSS);
-
-        const clusterDefaultCSS = document.createElement("link");
-        clusterDefaultCSS.rel = "stylesheet";
-        clusterDefaultCSS.href =
-          "https://unpkg.com/leaflet.markercluster@1.5.3/dist/MarkerCluster.Default.css";
-        document.head.appendChild(clusterDefaultCSS);
+  static getCityIds() {
+    return Object.keys(this.current.cities || {});
+  }
 
-        const clusterScript = document.createElement("script");
-        clusterScript.src =
-          "https://unpkg.com/leaflet.markercluster@1.5.3/dist/leaflet.markercluster.js";
-        clusterScript.onload = () => setMapLoaded(true);
-        clusterScript.onerror = () =>
-          console.error("Failed to load Leaflet MarkerCluster");
-        document.head.appendChild(clusterScript);
-      };
-      script.onerror = () => console.error("Failed to load Leaflet");
-      document.head.appendChild(script);
-    };
+  static getCity(cityId) {
+    const cities = this.current.cities || {};
+    return cities[cityId] || cities[this.current.defaultCity] || null;
+  }
 
-    loadLeaflet();
-  }, [mapLoaded]);
+  static isKnownCity(cityId) {
+    return Boolean(this.current.cities?.[cityId]);
+  }
 
-  // Initialize map (once)
-  useEffect(() => {
-    if (!mapLoaded || !mapRef.current || mapInstanceRef.current) return;
+  static validateTimeWindows(raw, warnings) {
+    if (raw === undefined) return { ...DEFAULT_CONFIG.timeWindows };
+    if (!isPlainObject(raw)) {
+      warnings.push("timeWindows must be an object; using defaults");
+      return { ...DEFAULT_CONFIG.timeWindows };
+    }
 
-    try {
-      const L = window.L;
+    const result = {};
+    Object.entries(raw).forEach(([key, value]) => {
+      // null (JSON has no Infinity) marks an unbounded window
+      const ms = value?.ms === null ? Infinity : value?.ms;
+      if (
+        isPlainObject(value) &&
+        isPlainText(value.label) &&
+        (ms === Infinity || isPositiveNumber(ms))
+      ) {
+        result[key] = { ms, label: value.label };
+      } else {
+        warnings.push(`timeWindows.${key} is invalid; skipped`);
+      }
+    });
 
-      const map = L.map(mapRef.current, {
-        center: MAP_CONFIG.center,
-        zoom: MAP_CONFIG.initialZoom,
-        zoomControl: true,
-        minZoom: MAP_CONFIG.minZoom,
-        maxZoom: MAP_CONFIG.maxZoom,
-      });
+    if (Object.keys(result).length === 0) {
+      warnings.push("timeWindows has no valid entries; using defaults");
+      return { ...DEFAULT_CONFIG.timeWindows };
+    }
+    return result;
+  }
 
-      L.tileLayer("https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png", {
-        attribution: "© OpenStreetMap contributors",
-        className: "grayscale-tiles",
-      }).addTo(map);
+  static validateObservationTypes(raw, warnings) {
+    if (raw === undefined) return { ...DEFAULT_CONFIG.observationTypes };
+    if (!isPlainObject(raw)) {
+      warnings.push("observationTypes must be an object; using defaults");
+      return { ...DEFAULT_CONFIG.observationTypes };
+    }
 
-      map.on("zoom", () => setZoomLevel(map.getZoom()));
+    const result = {};
+    Object.entries(raw).forEach(([key, value]) => {
+      if (isPlainObject(value) && isPlainText(value.label)) {
+        result[key] = {
+          label: value.label,
+          icon: TYPE_ICONS[value.icon] ? value.icon : "MapPin",
+        };
+      } else {
+        warnings.push(`observationTypes.${key} is invalid; skipped`);
+      }
+    });
 
-      mapInstanceRef.current = map;
-    } catch (error) {
-      console.error("Map initialization failed:", error);
+    if (Object.keys(result).length === 0) {
+      warnings.push("observationTypes has no valid entries; using defaults");
+      return { ...DEFAULT_CONFIG.observationTypes };
     }
+    return result;
+  }
 
-    return () => {
-      if (mapInstanceRef.current) {
-        try {
-          // Remove local pattern circle if exists
-          if (localPatternCircleRef.current) {
-            mapInstanceRef.current.removeLayer(localPatternCircleRef.current);
-            localPatternCircleRef.current = null;
-          }
-          mapInstanceRef.current.remove();
-        } catch (error) {
-          console.error("Map cleanup failed:", error);
-        }
-        mapInstanceRef.current = null;
-      }
-    };
-  }, [mapLoaded]);
+  // Shallow merge of keyed entries, keeping only values that pass isValid
+  static mergeEntries(defaults, raw, isValid, path, warnings) {
+    if (raw === undefined) return { ...defaults };
+    if (!isPlainObject(raw)) {
+      warnings.push(`${path} must be an object; using defaults`);
+      return { ...defaults };
+    }
 
-  // Track visible observations based on map bounds
-  useEffect(() => {
-    if (!mapInstanceRef.current) return;
+    const result = { ...defaults };
+    Object.entries(raw).forEach(([key, value]) => {
+      if (isValid(value)) result[key] = value;
+      else warnings.push(`${path}.${key} is invalid; using default`);
+    });
+    return result;
+  }
 
-    const map = mapInstanceRef.current;
+  // Deep merge of theme tokens; leaves must be strings safe in a style
+  static mergeTheme(defaults, raw, path, warnings) {
+    if (raw === undefined) return defaults;
+    if (!isPlainObject(raw)) {
+      warnings.push(`${path} must be an object; using defaults`);
+      return defaults;
+    }
 
-    const updateVisibleObservations = () => {
-      try {
-        const bounds = map.getBounds();
-        const visible = filteredData.filter((obs) =>
-          bounds.contains([obs.lat, obs.lng])
+    const result = { ...defaults };
+    Object.entries(raw).forEach(([key, value]) => {
+      if (isPlainObject(value)) {
+        result[key] = this.mergeTheme(
+          isPlainObject(defaults[key]) ? defaults[key] : {},
+          value,
+          `${path}.${key}`,
+          warnings
         );
-
-        setVisibleObservations((prev) => {
-          // Only update if actually different
-          if (
-            prev.length === visible.length &&
-            prev.every((obs, idx) => obs.id === visible[idx]?.id)
-          ) {
-            return prev;
-          }
-          return visible;
-        });
-      } catch (error) {
-        console.error("Failed to update visible observations:", error);
+      } else if (isStyleValue(value)) {
+        result[key] = value;
+      } else {
+        warnings.push(`${path}.${key} must be a style value; using default`);
       }
-    };
-
-    map.on("moveend", updateVisibleObservations);
-    map.on("zoomend", updateVisibleObservations);
-
-    updateVisibleObservations();
+    });
+    return result;
+  }
 
-    return () => {
-      map.off("moveend", updateVisibleObservations);
-      map.off("zoomend", updateVisibleObservations);
+  // Point the live THEME / MAP_CONFIG / TIME_WINDOWS views at a config
+  static apply(config) {
+    const replaceContents = (target, source) => {
+      Object.keys(target).forEach((key) => delete target[key]);
+      Object.assign(target, source);
     };
-  }, [filteredData]);
-
-  // Update markers when filtered data changes
-  useEffect(() => {
-    if (!mapInstanceRef.current || !window.L) return;
 
-    try {
-      const L = window.L;
-      const map = mapInstanceRef.current;
-
-      if (markersLayerRef.current) {
-        map.removeLayer(markersLayerRef.current);
-      }
+    replaceContents(THEME, config.theme);
+    replaceContents(MAP_CONFIG, config.mapConfig);
+    replaceContents(TIME_WINDOWS, config.timeWindows);
+    replaceContents(OBSERVATION_TYPES, config.observationTypes);
+    this.current = config;
+  }
+}
 
-      const markers = L.markerClusterGroup({
-        maxClusterRadius: MAP_CONFIG.clusterRadiusPixels,
-        iconCreateFunction: function (cluster) {
-          const count = cluster.getChildCount();
-          const size = MapUtils.getClusterSize(count);
-          const dims = MapUtils.getClusterDimensions(size);
-
-          return L.divIcon({
-            html: `<div style="
-              width: ${dims.width}px;
-              height: ${dims.height}px;
-              border: 2px solid ${THEME.colors.black};
-              background: ${THEME.colors.white};
-              border-radius: 50%;
-              display: flex;
-              align-items: center;
-              justify-content: center;
-              font-family: 'IBM Plex Mono', monospace;
-              font-size: ${dims.fontSize};
-              font-weight: 600;
-              color: ${THEME.colors.black};
-            ">${count}</div>`,
-            className: "custom-cluster-icon",
-            iconSize: L.point(dims.width, dims.height),
-          });
-        },
-      });
+// Bundled config is applied synchronously so the first render is themed
+ConfigService.apply(ConfigService.validate(configFile).config);
 
-      filteredData.forEach((obs) => {
-        const isSelected = selectedObservation?.id === obs.id;
-
-        // Apply pattern mode emphasis
-        let fillOpacity = 0.9;
-        let strokeOpacity = 1.0;
-        let weight = MapUtils.getMarkerWeight(obs.status);
-
-        if (patternMode === PATTERN_MODE.CITY_WIDE && patternData) {
-          const isEmphasized = obs.type === patternData.type;
-          fillOpacity = isEmphasized ? 0.9 : 0.3;
-          strokeOpacity = isEmphasized ? 1.0 : 0.3;
-          weight = isEmphasized ? weight + 1 : 1;
-        } else if (patternMode === PATTERN_MODE.LOCAL && patternData) {
-          const isEmphasized = patternData.observations.some(
-            (o) => o.id === obs.id
-          );
-          fillOpacity = isEmphasized ? 0.9 : 0.3;
-          strokeOpacity = isEmphasized ? 1.0 : 0.3;
-          weight = isEmphasized ? weight + 1 : 1;
-        }
+// ============================================================================
+// UTILITIES
+// ============================================================================
 
-        const marker = L.circleMarker([obs.lat, obs.lng], {
-          radius: MapUtils.getMarkerRadius(zoomLevel),
-          color: THEME.colors.black,
-          fillColor: isSelected ? THEME.colors.black : THEME.colors.white,
-          fillOpacity: fillOpacity,
-          weight: weight,
-          opacity: strokeOpacity,
-          zIndex: isSelected ? 1000 : 1,
-        });
+const TimeUtils = {
+  ...TimeFilterUtils,
 
-        marker.bindPopup(`
-          <div style="font-family: 'IBM Plex Mono', monospace; font-size: ${
-            THEME.typography.sizes.xsmall
-          };">
-            <strong>${ContentUtils.getTypeLabel(obs.type)}</strong><br/>
-            ${obs.id}
-          </div>
-        `);
-
-        marker.on("click", () => {
-          // In pattern mode, clicking markers does nothing
-          if (patternMode === PATTERN_MODE.NONE) {
-            setSelectedObservation(obs);
-            setExpandedDetail(false);
-            setSidebarOpen(true);
-          }
-        });
+  getDaysAgo(timestamp) {
+    const now = Date.now();
+    const diff = now - timestamp;
+    if (diff < 0) return 0; // Prevent negative values
+    return Math.floor(diff / (1000 * 60 * 60 * 24));
+  },
 
-        markers.addLayer(marker);
-      });
+  getTimeWindow(timestamp) {
+    return this.getTimeBucket(timestamp).label;
+  },
 
-      map.addLayer(markers);
-      markersLayerRef.current = markers;
-    } catch (error) {
-      console.error("Failed to update markers:", error);
-    }
-  }, [filteredData, selectedObservation, zoomLevel, patternMode, patternData]);
+  formatRelativeTime(timestamp) {
+    const daysAgo = this.getDaysAgo(timestamp);
+    if (daysAgo === 0) return "Today";
+    if (daysAgo === 1) return "1 day ago";
+    return `${daysAgo} days ago`;
+  },
 
-  // Pattern analysis handlers
-  const handleCityWidePattern = useCallback(() => {
-    if (!selectedObservation || !mapInstanceRef.current) return;
+  // Human phrase for a time window length, e.g. "the past 30 days"
+  describeWindow(windowMs) {
+    if (!Number.isFinite(windowMs)) return "the full record";
+    const hours = Math.round(windowMs / (1000 * 60 * 60));
+    if (hours < 48) return `the past ${hours} hours`;
+    return `the past ${Math.round(hours / 24)} days`;
+  },
 
-    const map = mapInstanceRef.current;
-    const L = window.L;
+  // Local calendar date as used by <input type="date"> (YYYY-MM-DD)
+  toDateInput(timestamp) {
+    const date = new Date(timestamp);
+    const pad = (n) => String(n).padStart(2, "0");
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(
+      date.getDate()
+    )}`;
+  },
 
-    // Save current state for restoration
-    setSavedMapState({
-      center: map.getCenter(),
-      zoom: map.getZoom(),
-      selectedObservation,
-    });
+  // Local midnight for a YYYY-MM-DD string, or NaN if it is not a date
+  fromDateInput(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || "");
+    if (!match) return NaN;
+    const [, year, month, day] = match.map(Number);
+    const date = new Date(year, month - 1, day);
+    return date.getMonth() === month - 1 ? date.getTime() : NaN;
+  },
 
-    // Filter matching observations
-    const matchingObs = PatternUtils.getMatchingObservations(
-      filteredData,
-      selectedObservation
-    );
+  // Same local time of day, days later (calendar days, so DST-safe)
+  addDays(timestamp, days) {
+    const date = new Date(timestamp);
+    date.setDate(date.getDate() + days);
+    return date.getTime();
+  },
 
-    // Calculate stats
-    const timeWindowMs = TIME_WINDOWS[timeFilter].ms;
-    const stats = PatternUtils.calculateCityWideStats(
-      matchingObs,
-      timeWindowMs
-    );
+  isValidDateRange(range) {
+    const from = this.fromDateInput(range?.from);
+    const to = this.fromDateInput(range?.to);
+    return Number.isFinite(from) && Number.isFinite(to) && from <= to;
+  },
 
-    // Zoom to fit all matching observations
-    const bounds = MapUtils.getBoundsForPoints(matchingObs);
-    if (bounds) {
-      map.fitBounds(bounds, { padding: [50, 50], animate: true });
+  // Resolve the PERIOD selection to a half-open [start, end) interval.
+  // Rolling windows end now; custom ranges cover whole local days.
+  resolveRange(timeFilter, customRange, now = Date.now()) {
+    if (timeFilter === CUSTOM_PERIOD && this.isValidDateRange(customRange)) {
+      const end = new Date(this.fromDateInput(customRange.to));
+      end.setDate(end.getDate() + 1);
+      return {
+        start: this.fromDateInput(customRange.from),
+        end: end.getTime(),
+      };
     }
 
-    // Set pattern mode
-    setPatternMode(PATTERN_MODE.CITY_WIDE);
-    setPatternData({
-      type: selectedObservation.type,
-      observations: matchingObs,
-      stats,
-    });
-    setSelectedObservation(null);
-    setExpandedDetail(false);
-  }, [selectedObservation, filteredData, timeFilter]);
+    const windowMs = TIME_WINDOWS[timeFilter]?.ms ?? Infinity;
+    return { start: now - windowMs, end: now };
+  },
 
-  const handleLocalPattern = useCallback(() => {
-    if (!selectedObservation || !mapInstanceRef.current) return;
+  // Punchcard cell as text, e.g. "Tue 17:00–18:00"
+  describeHourSlot({ day, hour }) {
+    const pad = (h) => `${String(h).padStart(2, "0")}:00`;
+    return `${HourOfWeekUtils.DAY_LABELS[day]} ${pad(hour)}–${pad(hour + 1)}`;
+  },
 
-    const map = mapInstanceRef.current;
-    const L = window.L;
+  // Window of the same length just before a range; null when it has no start
+  getPreviousRange(range) {
+    if (!Number.isFinite(range.start)) return null;
+    return { start: 2 * range.start - range.end, end: range.start };
+  },
 
-    // Save current state
-    setSavedMapState({
-      center: map.getCenter(),
-      zoom: map.getZoom(),
-      selectedObservation,
+  // e.g. "1 Dec 2025"
+  formatDate(timestamp) {
+    return new Date(timestamp).toLocaleDateString("en-GB", {
+      day: "numeric",
+      month: "short",
+      year: "numeric",
     });
+  },
 
-    // Get nearby matching observations
-    const nearbyObs = PatternUtils.getNearbyObservations(
-      filteredData.filter((obs) => obs.type === selectedObservation.type),
-      selectedObservation.lat,
-      selectedObservation.lng,
-      MAP_CONFIG.localPatternRadius
-    );
+  // Phrase for the active period, e.g. "the past 7 days" or "1 Dec – 31 Dec 2025"
+  describePeriod(timeFilter, range) {
+    if (timeFilter !== CUSTOM_PERIOD) {
+      return this.describeWindow(TIME_WINDOWS[timeFilter]?.ms ?? Infinity);
+    }
+    return `${this.formatDate(range.start)} – ${this.formatDate(
+      range.end - 1
+    )}`;
+  },
+};
 
-    // Calculate local stats
-    const timeWindowMs = TIME_WINDOWS[timeFilter].ms;
-    const stats = PatternUtils.calculateLocalStats(nearbyObs, timeWindowMs);
+// Calendar presets for the custom date range picker
+const DATE_RANGE_PRESETS = [
+  {
+    id: "this_month",
+    label: "This month",
+    getRange(now) {
+      const start = new Date(now.getFullYear(), now.getMonth(), 1);
+      return { from: start, to: now };
+    },
+  },
+  {
+    id: "last_month",
+    label: "Last month",
+    getRange(now) {
+      const start = new Date(now.getFullYear(), now.getMonth() - 1, 1);
+      const end = new Date(now.getFullYear(), now.getMonth(), 0);
+      return { from: start, to: end };
+    },
+  },
+  {
+    id: "last_week",
+    label: "Last week",
+    getRange(now) {
+      // Monday to Sunday of the previous calendar week
+      const daysSinceMonday = (now.getDay() + 6) % 7;
+      const start = new Date(
+        now.getFullYear(),
+        now.getMonth(),
+        now.getDate() - daysSinceMonday - 7
+      );
+      const end = new Date(
+        start.getFullYear(),
+        start.getMonth(),
+        start.getDate() + 6
+      );
+      return { from: start, to: end };
+    },
+  },
+  {
+    id: "year_to_date",
+    label: "Year to date",
+    getRange(now) {
+      return { from: new Date(now.getFullYear(), 0, 1), to: now };
+    },
+  },
+];
 
-    // Center map on selected observation
-    map.setView(
-      [selectedObservation.lat, selectedObservation.lng],
-      map.getZoom(),
-      { animate: true }
+const MapUtils = {
+  // Cell widths to offer: the presets plus the configured default
+  getGridCellSizes() {
+    return [...new Set([...GRID_CELL_SIZES, MAP_CONFIG.gridCellSize])].sort(
+      (a, b) => a - b
     );
+  },
+
+  // Leaflet map options for a city (falls back to MAP_CONFIG)
+  getMapOptions(city) {
+    return {
+      center: city?.center || MAP_CONFIG.center,
+      zoom: city?.initialZoom ?? MAP_CONFIG.initialZoom,
+      zoomControl: true,
+      minZoom: city?.minZoom ?? MAP_CONFIG.minZoom,
+      maxZoom: city?.maxZoom ?? MAP_CONFIG.maxZoom,
+    };
+  },
 
-    // Draw proximity circle
-    if (localPatternCircleRef.current) {
-      map.removeLayer(localPatternCircleRef.current);
+  // Move an existing map to a city's extent and zoom limits
+  fitCity(map, city) {
+    const options = this.getMapOptions(city);
+    map.setMinZoom(options.minZoom);
+    map.setMaxZoom(options.maxZoom);
+    if (city?.bounds) {
+      map.fitBounds(city.bounds, { animate: false });
+    } else {
+      map.setView(options.center, options.zoom, { animate: false });
     }
+  },
 
-    const circle = L.circle(
-      [selectedObservation.lat, selectedObservation.lng],
-      {
-        radius: MAP_CONFIG.localPatternRadius,
-        color: THEME.colors.gray.medium,
-        fillColor: "transparent",
-        weight: 1,
-        opacity: 0.5,
-        dashArray: "5, 5",
-      }
-    ).addTo(map);
+  getMarkerRadius(zoomLevel) {
+    if (zoomLevel <= 10) return 6;
+    if (zoomLevel <= 13) return 5;
+    return 4;
+  },
 
-    localPatternCircleRef.current = circle;
+  // Path options for one observation marker under the current selection,
+  // zoom and pattern emphasis (isEmphasized is null outside pattern mode)
+  getMarkerStyle(obs, { selectedId, radius, isEmphasized }) {
+    const isSelected = obs.id === selectedId;
+    const baseWeight = MapUtils.getMarkerWeight(obs.status);
+    const emphasis = isEmphasized ? isEmphasized(obs) : null;
 
-    // Set pattern mode
-    setPatternMode(PATTERN_MODE.LOCAL);
-    setPatternData({
-      type: selectedObservation.type,
-      observations: nearbyObs,
-      stats,
-      center: { lat: selectedObservation.lat, lng: selectedObservation.lng },
-    });
-    setSelectedObservation(null);
-    setExpandedDetail(false);
-  }, [selectedObservation, filteredData, timeFilter]);
+    return {
+      radius,
+      color: THEME.colors.black,
+      fillColor: isSelected ? THEME.colors.black : THEME.colors.white,
+      fillOpacity: emphasis === false ? 0.3 : 0.9,
+      opacity: emphasis === false ? 0.3 : 1.0,
+      weight: emphasis === null ? baseWeight : emphasis ? baseWeight + 1 : 1,
+    };
+  },
 
-  const handleClearPatternMode = useCallback(() => {
-    if (!mapInstanceRef.current || !savedMapState) return;
+  getMarkerPopupContent(obs) {
+    return `
+      <div style="font-family: 'IBM Plex Mono', monospace; font-size: ${
+        THEME.typography.sizes.xsmall
+      };">
+        <strong>${ContentUtils.escapeHtml(
+          ContentUtils.getTypeLabel(obs.type)
+        )}</strong><br/>
+        ${ContentUtils.escapeHtml(obs.id)}
+      </div>
+    `;
+  },
 
-    const map = mapInstanceRef.current;
+  getMarkerWeight(status) {
+    const weights = {
+      pending: 1,
+      under_review: 2,
+      acknowledged: 2,
+      resolved: 3,
+      dismissed: 1,
+    };
+    return weights[status] || 1;
+  },
 
-    // Remove local pattern circle if exists
-    if (localPatternCircleRef.current) {
-      map.removeLayer(localPatternCircleRef.current);
-      localPatternCircleRef.current = null;
-    }
+  getClusterSize(count) {
+    if (count > 50) return "large";
+    if (count > 10) return "medium";
+    return "small";
+  },
 
-    // Restore map state
-    map.setView(savedMapState.center, savedMapState.zoom, { animate: true });
+  getClusterDimensions(size) {
+    const dimensions = {
+      large: { width: 50, height: 50, fontSize: "16px" },
+      medium: { width: 40, height: 40, fontSize: "14px" },
+      small: { width: 32, height: 32, fontSize: "12px" },
+    };
+    return dimensions[size] || dimensions.small;
+  },
 
-    // Restore selection
-    setSelectedObservation(savedMapState.selectedObservation);
+  // Canvas layer drawing a kernel density surface of weighted lat/lng points
+  createHeatmapLayer(L, points, { bandwidthMeters }) {
+    const index = new SpatialIndex(points);
+    const HeatmapLayer = L.Layer.extend({
+      onAdd(map) {
+        this._canvas = L.DomUtil.create("canvas", "leaflet-zoom-hide");
+        this._canvas.style.pointerEvents = "none";
+        map.getPane("overlayPane").appendChild(this._canvas);
+        map.on("moveend resize", this._redraw, this);
+        this._redraw();
+      },
 
-    // Clear pattern mode
-    setPatternMode(PATTERN_MODE.NONE);
-    setPatternData(null);
-    setSavedMapState(null);
-  }, [savedMapState]);
-
-  // Pattern context generation (memoized to avoid re-calculation)
-  const getPatternContext = useCallback((observation) => {
-    const nearbyCount = Math.floor(Math.random() * 15) + 3;
-    const cityAvg = Math.random() > 0.5 ? "more frequently" : "less frequently";
-    const trend = ["increasing", "stable", "declining"][
-      Math.floor(Math.random() * 3)
-    ];
-    const frequency = Math.random() > 0.5 ? "+40%" : "-25%";
-    const trendSymbol =
-      trend === "increasing"
-        ? "↑ Rising"
-        : trend === "declining"
-        ? "↓ Declining"
-        : "→ Stable";
+      onRemove(map) {
+        map.off("moveend resize", this._redraw, this);
+        this._canvas.remove();
+      },
 
-    return {
-      summary: `This behavior is observed ${cityAvg} than city average in this area. Reports have been ${trend} over the past 30 days.`,
-      nearbyCount,
-      trend: trendSymbol,
-      frequency,
-    };
-  }, []);
+      _redraw() {
+        const map = this._map;
+        const size = map.getSize();
+        L.DomUtil.setPosition(
+          this._canvas,
+          map.containerPointToLayerPoint([0, 0])
+        );
+        this._canvas.width = size.x;
+        this._canvas.height = size.y;
 
-  const isViewportFiltered =
-    visibleObservations.length > 0 &&
-    visibleObservations.length !== filteredData.length;
+        // Bandwidth is fixed on the ground; keep it visible at city zoom
+        const metersPerPixel = DensityUtils.getMetersPerPixel(
+          map.getCenter().lat,
+          map.getZoom()
+        );
+        const sigma = Math.min(
+          Math.max(bandwidthMeters / metersPerPixel, 4),
+          80
+        );
+
+        // Only points whose kernel can reach the screen need projecting
+        const bounds = map
+          .getBounds()
+          .pad((3 * sigma) / Math.min(size.x, size.y));
+        const projected = index
+          .inBounds(
+            bounds.getSouth(),
+            bounds.getWest(),
+            bounds.getNorth(),
+            bounds.getEast()
+          )
+          .map((point) => {
+            const { x, y } = map.latLngToContainerPoint([point.lat, point.lng]);
+            return { x, y, weight: point.weight };
+          });
+        DensityUtils.paint(this._canvas, projected, { sigma });
+      },
+    });
+
+    return new HeatmapLayer();
+  },
+
+  // Let the user draw a region on the map; returns a function that aborts
+  startRegionDrawing(L, map, shape, { style, onComplete, onCancel }) {
+    const container = map.getContainer();
+    const vertices = [];
+    let origin = null;
+    let preview = null;
+
+    const toPoint = (latlng) => [latlng.lat, latlng.lng];
+
+    const onClick = (e) => {
+      // The two clicks of a finishing double-click land on the same spot
+      const last = vertices[vertices.length - 1];
+      if (last && map.distance(last, e.latlng) < 1) return;
+      vertices.push(e.latlng);
+      if (!preview) preview = L.polygon(vertices, style).addTo(map);
+      else preview.setLatLngs(vertices);
+    };
+    const onDoubleClick = () => {
+      if (vertices.length < 3) return;
+      finish({ shape, points: vertices.map(toPoint) });
+    };
+    const onMouseDown = (e) => {
+      origin = e.latlng;
+      preview =
+        shape === "circle"
+          ? L.circle(origin, { ...style, radius: 1 }).addTo(map)
+          : L.rectangle(L.latLngBounds(origin, origin), style).addTo(map);
+    };
+    const onMouseMove = (e) => {
+      if (shape === "polygon") {
+        if (preview) preview.setLatLngs([...vertices, e.latlng]);
+      } else if (origin) {
+        if (shape === "circle")
+          preview.setRadius(map.distance(origin, e.latlng));
+        else preview.setBounds(L.latLngBounds(origin, e.latlng));
+      }
+    };
+    const onMouseUp = (e) => {
+      if (!origin) return;
+      if (map.distance(origin, e.latlng) < 5) {
+        // A click, not a drag: start over
+        map.removeLayer(preview);
+        preview = null;
+        origin = null;
+        return;
+      }
+      if (shape === "circle") {
+        finish({
+          shape,
+          center: toPoint(origin),
+          radius: map.distance(origin, e.latlng),
+        });
+      } else {
+        const bounds = L.latLngBounds(origin, e.latlng);
+        finish({
+          shape,
+          bounds: [
+            toPoint(bounds.getSouthWest()),
+            toPoint(bounds.getNorthEast()),
+          ],
+        });
+      }
+    };
+    const onKeyDown = (e) => {
+      if (e.key !== "Escape") return;
+      cleanup();
+      onCancel();
+    };
+
+    const handlers =
+      shape === "polygon"
+        ? { click: onClick, dblclick: onDoubleClick, mousemove: onMouseMove }
+        : {
+            mousedown: onMouseDown,
+            mousemove: onMouseMove,
+            mouseup: onMouseUp,
+          };
+
+    const cleanup = () => {
+      map.off(handlers);
+      document.removeEventListener("keydown", onKeyDown);
+      if (preview) map.removeLayer(preview);
+      container.style.cursor = "";
+      map.doubleClickZoom.enable();
+      map.dragging.enable();
+    };
+    const finish = (region) => {
+      cleanup();
+      onComplete(region);
+    };
+
+    container.style.cursor = "crosshair";
+    map.doubleClickZoom.disable();
+    if (shape !== "polygon") map.dragging.disable();
+    map.on(handlers);
+    document.addEventListener("keydown", onKeyDown);
+
+    return cleanup;
+  },
+
+  // Calculate distance between two lat/lng points in meters (Haversine formula)
+  getDistance(lat1, lng1, lat2, lng2) {
+    return getDistance(lat1, lng1, lat2, lng2);
+  },
+
+  // Get bounding box that contains all points
+  getBoundsForPoints(points) {
+    if (points.length === 0) return null;
+
+    let minLat = points[0].lat;
+    let maxLat = points[0].lat;
+    let minLng = points[0].lng;
+    let maxLng = points[0].lng;
+
+    points.forEach((p) => {
+      if (p.lat < minLat) minLat = p.lat;
+      if (p.lat > maxLat) maxLat = p.lat;
+      if (p.lng < minLng) minLng = p.lng;
+      if (p.lng > maxLng) maxLng = p.lng;
+    });
+
+    return [
+      [minLat, minLng],
+      [maxLat, maxLng],
+    ];
+  },
+};
+
+const DensityUtils = {
+  // Per-observation weights for a HEATMAP_WEIGHTINGS key
+  getWeights(observations, weighting) {
+    if (weighting === "type") {
+      // Every type present contributes the same total, however common it is
+      const counts = {};
+      observations.forEach((obs) => {
+        counts[obs.type] = (counts[obs.type] || 0) + 1;
+      });
+      const typeCount = Object.keys(counts).length;
+      return observations.map(
+        (obs) => observations.length / (typeCount * counts[obs.type])
+      );
+    }
+    if (weighting === "status") {
+      const { resolvedWeight } = HEATMAP_WEIGHTINGS.status;
+      return observations.map((obs) =>
+        OBSERVATION_STATUSES[obs.status]?.resolved ? resolvedWeight : 1
+      );
+    }
+    return observations.map(() => 1);
+  },
+
+  // Ground resolution of a Web Mercator tile pyramid
+  getMetersPerPixel(lat, zoom) {
+    return (
+      (40075016.686 * Math.cos((lat * Math.PI) / 180)) / Math.pow(2, zoom + 8)
+    );
+  },
+
+  // Gaussian kernel density of weighted pixel points on a coarse grid
+  computeGrid(points, width, height, { sigma, cellSize }) {
+    const cols = Math.ceil(width / cellSize);
+    const rows = Math.ceil(height / cellSize);
+    const grid = new Float32Array(cols * rows);
+    const reach = Math.ceil((3 * sigma) / cellSize);
+    const twoSigmaSq = 2 * sigma * sigma;
+    let max = 0;
+
+    points.forEach(({ x, y, weight }) => {
+      const col = Math.floor(x / cellSize);
+      const row = Math.floor(y / cellSize);
+      if (col < -reach || col >= cols + reach) return;
+      if (row < -reach || row >= rows + reach) return;
+
+      for (let r = Math.max(0, row - reach); r <= row + reach; r++) {
+        if (r >= rows) break;
+        const dy = (r + 0.5) * cellSize - y;
+        for (let c = Math.max(0, col - reach); c <= col + reach; c++) {
+          if (c >= cols) break;
+          const dx = (c + 0.5) * cellSize - x;
+          const index = r * cols + c;
+          grid[index] += weight * Math.exp(-(dx * dx + dy * dy) / twoSigmaSq);
+          if (grid[index] > max) max = grid[index];
+        }
+      }
+    });
+
+    return { grid, cols, rows, max };
+  },
+
+  // Interpolated HEATMAP_RAMP colour for a density in [0, 1]
+  getRampColor(t) {
+    const upper = HEATMAP_RAMP.findIndex(([stop]) => stop >= t);
+    if (upper <= 0) return HEATMAP_RAMP[Math.max(upper, 0)][1];
+
+    const [lowStop, lowColor] = HEATMAP_RAMP[upper - 1];
+    const [highStop, highColor] = HEATMAP_RAMP[upper];
+    const f = (t - lowStop) / (highStop - lowStop);
+    return lowColor.map((value, i) => value + (highColor[i] - value) * f);
+  },
+
+  // CSS gradient matching the ramp, for the legend
+  getRampGradient() {
+    const stops = HEATMAP_RAMP.map(
+      ([stop, [r, g, b, a]]) => `rgba(${r}, ${g}, ${b}, ${a}) ${stop * 100}%`
+    );
+    return `linear-gradient(to right, ${stops.join(", ")})`;
+  },
+
+  // Paint a density grid onto a canvas, scaled up with smoothing
+  paint(canvas, points, { sigma }) {
+    const ctx = canvas.getContext("2d");
+    if (!ctx) return;
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    if (points.length === 0) return;
+
+    const cellSize = Math.max(2, Math.round(sigma / 3));
+    const { grid, cols, rows, max } = DensityUtils.computeGrid(
+      points,
+      canvas.width,
+      canvas.height,
+      { sigma, cellSize }
+    );
+    if (max === 0) return;
+
+    const buffer = document.createElement("canvas");
+    buffer.width = cols;
+    buffer.height = rows;
+    const bufferCtx = buffer.getContext("2d");
+    const image = bufferCtx.createImageData(cols, rows);
+    grid.forEach((value, index) => {
+      const [r, g, b, a] = DensityUtils.getRampColor(value / max);
+      image.data[index * 4] = r;
+      image.data[index * 4 + 1] = g;
+      image.data[index * 4 + 2] = b;
+      image.data[index * 4 + 3] = Math.round(a * 255);
+    });
+    bufferCtx.putImageData(image, 0, 0);
+
+    ctx.imageSmoothingEnabled = true;
+    ctx.drawImage(buffer, 0, 0, cols * cellSize, rows * cellSize);
+  },
+};
+
+const AreaUtils = {
+  // Ray casting against one [lng, lat] ring
+  isPointInRing(lng, lat, ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [xi, yi] = ring[i];
+      const [xj, yj] = ring[j];
+      const isAboveI = yi > lat;
+      const isAboveJ = yj > lat;
+      if (
+        isAboveI !== isAboveJ &&
+        lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi
+      ) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  },
+
+  // Inside an outer ring and outside its holes, for any polygon of the area
+  containsPoint(area, lat, lng) {
+    const [minLng, minLat, maxLng, maxLat] = area.bbox;
+    if (lng < minLng || lng > maxLng || lat < minLat || lat > maxLat) {
+      return false;
+    }
+    return area.polygons.some(
+      ([outer, ...holes]) =>
+        AreaUtils.isPointInRing(lng, lat, outer) &&
+        !holes.some((hole) => AreaUtils.isPointInRing(lng, lat, hole))
+    );
+  },
+
+  // First area containing a point (boundaries are assumed not to overlap)
+  findArea(areas, lat, lng) {
+    return (
+      areas.find((area) => AreaUtils.containsPoint(area, lat, lng)) || null
+    );
+  },
+
+  // Per-area stats ranked by count, plus observations outside every area.
+  // With a spatial index of the observations, each area only tests the
+  // points inside its bounding box; either way the first matching area wins.
+  calculateAreaStats(areas, observations, index = null) {
+    const byArea = new Map(areas.map((area) => [area.id, []]));
+    let unassigned = 0;
+
+    if (index) {
+      const assigned = new Set();
+      areas.forEach((area) => {
+        const [minLng, minLat, maxLng, maxLat] = area.bbox;
+        index.inBounds(minLat, minLng, maxLat, maxLng).forEach((obs) => {
+          if (assigned.has(obs)) return;
+          if (!AreaUtils.containsPoint(area, obs.lat, obs.lng)) return;
+          assigned.add(obs);
+          byArea.get(area.id).push(obs);
+        });
+      });
+      unassigned = observations.length - assigned.size;
+    } else {
+      observations.forEach((obs) => {
+        const area = AreaUtils.findArea(areas, obs.lat, obs.lng);
+        if (area) byArea.get(area.id).push(obs);
+        else unassigned++;
+      });
+    }
+
+    const rows = areas
+      .map((area) => ({
+        area,
+        stats: StatsUtils.calculateObservationStats(byArea.get(area.id)),
+      }))
+      .sort(
+        (a, b) =>
+          b.stats.total - a.stats.total ||
+          a.area.name.localeCompare(b.area.name)
+      );
+
+    return { rows, unassigned };
+  },
+
+  // Area stats with each area's count in the comparison window added
+  addPreviousTotals(areaStats, previousAreaStats) {
+    const totals = new Map(
+      previousAreaStats.rows.map(({ area, stats }) => [area.id, stats.total])
+    );
+    return {
+      ...areaStats,
+      rows: areaStats.rows.map((row) => ({
+        ...row,
+        stats: { ...row.stats, previousTotal: totals.get(row.area.id) },
+      })),
+    };
+  },
+
+  // Value range of a metric over the areas that have one
+  getMetricExtent(rows, metric) {
+    const values = rows
+      .map((row) => AREA_METRICS[metric].getValue(row.stats))
+      .filter((value) => value !== null);
+    if (values.length === 0) return null;
+    return { min: Math.min(...values), max: Math.max(...values) };
+  },
+
+  // 0 (best) to 1 (worst) position of a value within the extent
+  getSeverity(value, extent, metric) {
+    const t =
+      extent.max > extent.min
+        ? (value - extent.min) / (extent.max - extent.min)
+        : 0.5;
+    return AREA_METRICS[metric].higherIsWorse ? t : 1 - t;
+  },
+
+  // Worst first by a metric; areas without a value go last
+  rankByMetric(rows, metric) {
+    const { getValue, higherIsWorse } = AREA_METRICS[metric];
+    return [...rows].sort((a, b) => {
+      const va = getValue(a.stats);
+      const vb = getValue(b.stats);
+      if (va === null || vb === null) return (va === null) - (vb === null);
+      return higherIsWorse ? vb - va : va - vb;
+    });
+  },
+
+  // Leaflet [lat, lng] bounds of an area
+  getBounds(area) {
+    const [minLng, minLat, maxLng, maxLat] = area.bbox;
+    return [
+      [minLat, minLng],
+      [maxLat, maxLng],
+    ];
+  },
+};
+
+// Drawn regions: { shape: "polygon", points: [[lat, lng], ...] },
+// { shape: "rectangle", bounds: [[s, w], [n, e]] } or
+// { shape: "circle", center: [lat, lng], radius } (meters)
+const RegionUtils = {
+  containsPoint(region, lat, lng) {
+    switch (region.shape) {
+      case "circle":
+        return (
+          MapUtils.getDistance(region.center[0], region.center[1], lat, lng) <=
+          region.radius
+        );
+      case "rectangle": {
+        const [[south, west], [north, east]] = region.bounds;
+        return lat >= south && lat <= north && lng >= west && lng <= east;
+      }
+      default:
+        return AreaUtils.isPointInRing(
+          lng,
+          lat,
+          region.points.map(([pointLat, pointLng]) => [pointLng, pointLat])
+        );
+    }
+  },
+
+  getBounds(region) {
+    if (region.shape === "rectangle") return region.bounds;
+    if (region.shape === "circle") {
+      const [lat, lng] = region.center;
+      const dLat = region.radius / 110574;
+      const dLng = region.radius / (111320 * Math.cos((lat * Math.PI) / 180));
+      return [
+        [lat - dLat, lng - dLng],
+        [lat + dLat, lng + dLng],
+      ];
+    }
+    return MapUtils.getBoundsForPoints(
+      region.points.map(([lat, lng]) => ({ lat, lng }))
+    );
+  },
+
+  // Ground area in square meters (shoelace on local planar meters)
+  getArea(region) {
+    if (region.shape === "circle") return Math.PI * region.radius ** 2;
+
+    const ring =
+      region.shape === "rectangle"
+        ? [
+            region.bounds[0],
+            [region.bounds[0][0], region.bounds[1][1]],
+            region.bounds[1],
+            [region.bounds[1][0], region.bounds[0][1]],
+          ]
+        : region.points;
+    const originLat = ring[0][0];
+    const points = ring.map(([lat, lng]) =>
+      AggregationUtils.toMeters(lat, lng, originLat)
+    );
+    let twiceArea = 0;
+    points.forEach((point, i) => {
+      const next = points[(i + 1) % points.length];
+      twiceArea += point.x * next.y - next.x * point.y;
+    });
+    return Math.abs(twiceArea) / 2;
+  },
+
+  describe(region) {
+    const km2 = (RegionUtils.getArea(region) / 1e6).toFixed(2);
+    if (region.shape === "circle") {
+      return `Circle, ${Math.round(region.radius)}m radius (${km2} km²)`;
+    }
+    if (region.shape === "rectangle") return `Rectangle, ${km2} km²`;
+    return `Polygon, ${region.points.length} corners, ${km2} km²`;
+  },
+
+  // Leaflet layer outlining a region
+  toLayer(L, region, style) {
+    if (region.shape === "circle") {
+      return L.circle(region.center, { ...style, radius: region.radius });
+    }
+    if (region.shape === "rectangle") return L.rectangle(region.bounds, style);
+    return L.polygon(region.points, style);
+  },
+
+  // Compact URL form, e.g. "circle:18.52,73.85,350" or "polygon:lat,lng;..."
+  encode(region) {
+    const fixed = (values) => values.map((v) => Number(v).toFixed(5));
+    if (region.shape === "circle") {
+      return `circle:${fixed(region.center)},${Math.round(region.radius)}`;
+    }
+    const points = region.shape === "rectangle" ? region.bounds : region.points;
+    return `${region.shape}:${points.map((p) => fixed(p).join(",")).join(";")}`;
+  },
+
+  decode(text) {
+    const [shape, body = ""] = (text || "").split(":");
+    const numbers = (part) => part.split(",").map(Number);
+    const isLatLng = (p) =>
+      p.length === 2 &&
+      p.every(Number.isFinite) &&
+      Math.abs(p[0]) <= 90 &&
+      Math.abs(p[1]) <= 180;
+
+    if (shape === "circle") {
+      const [lat, lng, radius] = numbers(body);
+      return isLatLng([lat, lng]) && radius > 0
+        ? { shape, center: [lat, lng], radius }
+        : null;
+    }
+    const points = body.split(";").map(numbers);
+    if (!points.every(isLatLng)) return null;
+    if (shape === "rectangle" && points.length === 2) {
+      return { shape, bounds: points };
+    }
+    if (shape === "polygon" && points.length >= 3) return { shape, points };
+    return null;
+  },
+};
+
+// Query params that make up a shareable view (anything else is left alone)
+const URL_PARAMS = {
+  city: "city",
+  lens: "lens",
+  period: "period",
+  selected: "obs",
+  pattern: "pattern",
+  reference: "ref",
+  from: "from",
+  to: "to",
+  hours: "hours",
+  days: "days",
+  status: "status",
+  search: "q",
+  layer: "layer",
+  weighting: "weight",
+  gridShape: "shape",
+  gridCellSize: "size",
+  areaLevel: "areas",
+  areaMetric: "shade",
+  region: "region",
+  radius: "radius",
+  brush: "brush",
+  slot: "slot",
+  compare: "compare",
+  view: "view",
+};
+
+export const UrlStateUtils = {
+  // Read the shareable view state from a query string
+  parse(search = window.location.search) {
+    const params = new URLSearchParams(search);
+    const view = (params.get(URL_PARAMS.view) || "").split(",").map(Number);
+
+    return {
+      city: params.get(URL_PARAMS.city),
+      lens: params.get(URL_PARAMS.lens),
+      period: params.get(URL_PARAMS.period),
+      selected: params.get(URL_PARAMS.selected),
+      pattern: params.get(URL_PARAMS.pattern),
+      reference: params.get(URL_PARAMS.reference),
+      from: params.get(URL_PARAMS.from),
+      to: params.get(URL_PARAMS.to),
+      hours: params.get(URL_PARAMS.hours),
+      days: params.get(URL_PARAMS.days),
+      status: params.get(URL_PARAMS.status),
+      search: params.get(URL_PARAMS.search),
+      layer: params.get(URL_PARAMS.layer),
+      weighting: params.get(URL_PARAMS.weighting),
+      gridShape: params.get(URL_PARAMS.gridShape),
+      gridCellSize: params.get(URL_PARAMS.gridCellSize),
+      areaLevel: params.get(URL_PARAMS.areaLevel),
+      areaMetric: params.get(URL_PARAMS.areaMetric),
+      region: params.get(URL_PARAMS.region),
+      radius: params.get(URL_PARAMS.radius),
+      brush: params.get(URL_PARAMS.brush),
+      slot: params.get(URL_PARAMS.slot),
+      compare: params.get(URL_PARAMS.compare),
+      view:
+        view.length === 3 && view.every(Number.isFinite)
+          ? { center: [view[0], view[1]], zoom: view[2] }
+          : null,
+    };
+  },
+
+  // Validate the filter part of a parsed state against the active config
+  resolveFilters(state) {
+    const customRange = { from: state.from, to: state.to };
+    const [brushFrom, brushTo] = (state.brush || "").split(",");
+    const brushRange = { from: brushFrom, to: brushTo };
+    const [slotDay, slotHour] = (state.slot || "").split(",").map(Number);
+    const isSlot =
+      Number.isInteger(slotDay) &&
+      Number.isInteger(slotHour) &&
+      slotDay >= 0 &&
+      slotDay < 7 &&
+      slotHour >= 0 &&
+      slotHour < 24;
+    const isCustom =
+      state.period === CUSTOM_PERIOD && TimeUtils.isValidDateRange(customRange);
+
+    const city = ConfigService.isKnownCity(state.city)
+      ? state.city
+      : ConfigService.current.defaultCity;
+
+    return {
+      city,
+      lensFilter: (state.lens || "")
+        .split(",")
+        .filter((type) => OBSERVATION_TYPES[type]),
+      period:
+        isCustom || TIME_WINDOWS[state.period]
+          ? state.period
+          : ConfigService.current.defaultTimeWindow,
+      customRange: isCustom ? customRange : null,
+      brushRange: TimeUtils.isValidDateRange(brushRange) ? brushRange : null,
+      hourSlot: isSlot ? { day: slotDay, hour: slotHour } : null,
+      isComparing: state.compare === "1",
+      timeOfDay: (state.hours || "")
+        .split(",")
+        .filter((id) => TIME_OF_DAY_BUCKETS.some((bucket) => bucket.id === id)),
+      dayFilter: Object.values(DAY_FILTERS).includes(state.days)
+        ? state.days
+        : DAY_FILTERS.ALL,
+      statusFilter: (state.status || "")
+        .split(",")
+        .filter((status) => OBSERVATION_STATUSES[status]),
+      search: state.search || "",
+      mapLayer: Object.values(MAP_LAYERS).includes(state.layer)
+        ? state.layer
+        : MAP_LAYERS.MARKERS,
+      heatmapWeighting: HEATMAP_WEIGHTINGS[state.weighting]
+        ? state.weighting
+        : "count",
+      gridShape: GRID_SHAPES[state.gridShape] ? state.gridShape : "square",
+      gridCellSize: MapUtils.getGridCellSizes().includes(
+        Number(state.gridCellSize)
+      )
+        ? Number(state.gridCellSize)
+        : MAP_CONFIG.gridCellSize,
+      areaLevel: ConfigService.getCity(city)?.boundaries[state.areaLevel]
+        ? state.areaLevel
+        : null,
+      areaMetric: AREA_METRICS[state.areaMetric] ? state.areaMetric : null,
+    };
+  },
+
+  // Whether a parsed state asks for more than filters (selection, map, ...)
+  hasRestorableState(state) {
+    return Boolean(state.selected || state.pattern || state.view);
+  },
+
+  formatView(map) {
+    const center = map.getCenter();
+    return `${center.lat.toFixed(5)},${center.lng.toFixed(5)},${map.getZoom()}`;
+  },
+
+  // Query string for a view state; null values are omitted
+  buildSearch(state, search = window.location.search) {
+    const params = new URLSearchParams(search);
+    Object.entries(URL_PARAMS).forEach(([key, name]) => {
+      params.delete(name);
+      if (state[key] !== null && state[key] !== undefined) {
+        params.set(name, state[key]);
+      }
+    });
+    // Commas, colons and semicolons are legal in a query; keep
+    // "view=lat,lng,zoom" and "region=polygon:lat,lng;..." readable
+    const query = params
+      .toString()
+      .replace(/%2C/g, ",")
+      .replace(/%3A/g, ":")
+      .replace(/%3B/g, ";");
+    return query ? `?${query}` : "";
+  },
+
+  // Whether two query strings describe the same history entry (viewport,
+  // search text and pattern radius aside, which change too often to each get
+  // an entry)
+  isSameEntry(searchA, searchB) {
+    const normalize = (search) => {
+      const params = new URLSearchParams(search);
+      params.delete(URL_PARAMS.view);
+      params.delete(URL_PARAMS.search);
+      params.delete(URL_PARAMS.radius);
+      params.sort();
+      return params.toString();
+    };
+    return normalize(searchA) === normalize(searchB);
+  },
+
+  write(search, { replace = false } = {}) {
+    const url = `${window.location.pathname}${search}${window.location.hash}`;
+    if (replace) window.history.replaceState(null, "", url);
+    else window.history.pushState(null, "", url);
+  },
+
+  // Keep the viewport in the current entry without adding history
+  replaceView(map) {
+    const search = UrlStateUtils.buildSearch({
+      ...UrlStateUtils.parse(),
+      view: UrlStateUtils.formatView(map),
+    });
+    UrlStateUtils.write(search, { replace: true });
+  },
+};
+
+// localStorage keys for preferences remembered across sessions
+const STORAGE_KEYS = {
+  lens: "road-commons:lens",
+};
+
+const StorageUtils = {
+  // Storage can be unavailable (private mode, blocked cookies); fall back
+  read(key, fallback = null) {
+    try {
+      const value = window.localStorage.getItem(key);
+      return value === null ? fallback : JSON.parse(value);
+    } catch (error) {
+      return fallback;
+    }
+  },
+
+  write(key, value) {
+    try {
+      window.localStorage.setItem(key, JSON.stringify(value));
+    } catch (error) {
+      console.warn(`Could not save preference "${key}":`, error);
+    }
+  },
+
+  // Remembered lens, limited to types the active config knows
+  readLens() {
+    const stored = StorageUtils.read(STORAGE_KEYS.lens, []);
+    return Array.isArray(stored)
+      ? stored.filter((type) => OBSERVATION_TYPES[type])
+      : [];
+  },
+};
+
+const ContentUtils = {
+  // Data and config text going into Leaflet HTML (popups, tooltips)
+  escapeHtml(value) {
+    return String(value)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#39;");
+  },
+
+  getTypeLabel(type) {
+    return OBSERVATION_TYPES[type]?.label || "Observation";
+  },
+
+  getTypeIcon(type) {
+    return TYPE_ICONS[OBSERVATION_TYPES[type]?.icon] || MapPin;
+  },
+
+  getStatusLabel(status) {
+    return OBSERVATION_STATUSES[status]?.label || status;
+  },
+
+  getStatusExplanation(status) {
+    return (
+      ConfigService.current.statusExplanations[status] || "Status under review."
+    );
+  },
+
+  getOutcomeDetails(status) {
+    return ConfigService.current.outcomeDetails[status] || null;
+  },
+
+  getTrendLabel(trend) {
+    return TREND_LABELS[trend] || trend;
+  },
+
+  // Signed difference from the comparison window, e.g. "+3" or "−1.5"
+  formatChange(current, previous, { decimals = 0, unit = "" } = {}) {
+    const diff = Number((current - previous).toFixed(decimals));
+    if (diff === 0) return `±0${unit}`;
+    const sign = diff > 0 ? "+" : "−";
+    return `${sign}${Math.abs(diff).toFixed(decimals)}${unit}`;
+  },
+
+  // Count difference with its percentage when there was a baseline
+  formatCountChange(current, previous) {
+    const change = ContentUtils.formatChange(current, previous);
+    if (previous === 0 || current === previous) return change;
+    const percent = Math.round(((current - previous) / previous) * 100);
+    return `${change} (${ContentUtils.formatChange(percent, 0)}%)`;
+  },
+
+  // Sen's slope and test confidence, or why there was no test
+  describeTrendTest(test) {
+    if (!test || test.slope === null) {
+      return `Needs ${PatternUtils.TREND_MIN_OBSERVATIONS}+ observations`;
+    }
+    const slope = Math.abs(test.slope) < 0.05 ? 0 : test.slope;
+    const sign = slope > 0 ? "+" : "";
+    // Floored so a near-certain result never reads as 100%
+    const confidence = Math.floor(test.confidence * 100);
+    return `${sign}${slope.toFixed(1)}/week, ${confidence}% conf.`;
+  },
+};
+
+// Sends AnalyticsSession requests to the analytics worker, or runs them
+// in-process where workers are unavailable (e.g. tests). Each request names a
+// channel; a newer request on the same channel cancels the older one, whose
+// promise then resolves to null.
+export class AnalyticsClient {
+  constructor() {
+    this.nextId = 1;
+    this.pending = new Map(); // request id -> { resolve, reject, channel }
+    this.channels = new Map(); // channel -> latest request id
+    this.worker = null;
+    this.session = null;
+    this.isTerminated = false;
+
+    const workerReady =
+      typeof Worker === "undefined"
+        ? Promise.resolve(null)
+        : import("./startAnalyticsWorker")
+            .then(({ startAnalyticsWorker }) => startAnalyticsWorker())
+            .catch((error) => {
+              console.error("Analytics worker unavailable:", error);
+              return null;
+            });
+
+    this.ready = workerReady.then((worker) => {
+      if (this.isTerminated) {
+        if (worker) worker.terminate();
+        return;
+      }
+      if (!worker) {
+        this.session = new AnalyticsSession();
+        return;
+      }
+      worker.onmessage = ({ data }) => this.settle(data);
+      worker.onerror = (event) =>
+        console.error("Analytics worker error:", event.message);
+      this.worker = worker;
+    });
+  }
+
+  request(channel, type, payload) {
+    const id = this.nextId++;
+    this.cancelChannel(channel);
+    this.channels.set(channel, id);
+
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { resolve, reject, channel });
+      this.ready.then(() => {
+        if (!this.pending.has(id)) return; // Cancelled while starting up
+        if (this.worker) {
+          this.worker.postMessage({ id, type, payload });
+          return;
+        }
+        // Still async in-process, so callers behave the same either way
+        setTimeout(() => {
+          if (!this.pending.has(id)) return;
+          try {
+            this.settle({ id, result: this.session.handle(type, payload) });
+          } catch (error) {
+            this.settle({ id, error: error.message });
+          }
+        }, 0);
+      });
+    });
+  }
+
+  cancel(id) {
+    const request = this.pending.get(id);
+    if (!request) return;
+    this.pending.delete(id);
+    request.resolve(null);
+    if (this.worker) this.worker.postMessage({ id, type: "cancel" });
+  }
+
+  // Drop whatever is still in flight on a channel
+  cancelChannel(channel) {
+    const id = this.channels.get(channel);
+    if (!id) return;
+    this.channels.delete(channel);
+    this.cancel(id);
+  }
+
+  settle({ id, result, error }) {
+    const request = this.pending.get(id);
+    if (!request) return; // Cancelled; the result is stale
+    this.pending.delete(id);
+    if (this.channels.get(request.channel) === id) {
+      this.channels.delete(request.channel);
+    }
+    if (error) request.reject(new Error(error));
+    else request.resolve(result);
+  }
+
+  terminate() {
+    this.isTerminated = true;
+    this.pending.forEach((request) => request.resolve(null));
+    this.pending.clear();
+    this.channels.clear();
+    if (this.worker) this.worker.terminate();
+  }
+}
+
+// ============================================================================
+// MAIN COMPONENT
+// ============================================================================
+
+const RoadCommonsTransparency = () => {
+  // Initial view comes from the URL so shared links open where they were sent
+  const [initialUrlState] = useState(() => UrlStateUtils.parse());
+  const initialFilters = UrlStateUtils.resolveFilters(initialUrlState);
+
+  // State
+  const [cityId, setCityId] = useState(initialFilters.city);
+  // Selected types (none = every type); a link's lens beats the remembered one
+  const [lensFilter, setLensFilter] = useState(() =>
+    initialUrlState.lens !== null
+      ? initialFilters.lensFilter
+      : StorageUtils.readLens()
+  );
+  const [timeFilter, setTimeFilter] = useState(initialFilters.period);
+  const [customRange, setCustomRange] = useState(initialFilters.customRange);
+  // Dates brushed on the time series chart, narrowing the period
+  const [brushRange, setBrushRange] = useState(initialFilters.brushRange);
+  const [seriesInterval, setSeriesInterval] = useState(null);
+  const [hoveredBar, setHoveredBar] = useState(null);
+  // Time playback: { start, windowDays, speed, isPlaying }, null when off;
+  // each frame shows windowDays from start and the next starts a day later
+  const [playback, setPlayback] = useState(null);
+  // Hour of the week picked on a punchcard ({ day, hour }, Monday = 0)
+  const [hourSlot, setHourSlot] = useState(initialFilters.hourSlot);
+  // Compare against the window of the same length just before the shown one
+  const [isComparing, setIsComparing] = useState(initialFilters.isComparing);
+  const [timeOfDay, setTimeOfDay] = useState(initialFilters.timeOfDay);
+  const [dayFilter, setDayFilter] = useState(initialFilters.dayFilter);
+  const [statusFilter, setStatusFilter] = useState(initialFilters.statusFilter);
+  const [searchQuery, setSearchQuery] = useState(initialFilters.search);
+  const [mapLayer, setMapLayer] = useState(initialFilters.mapLayer);
+  const [heatmapWeighting, setHeatmapWeighting] = useState(
+    initialFilters.heatmapWeighting
+  );
+  const [gridShape, setGridShape] = useState(initialFilters.gridShape);
+  const [gridCellSize, setGridCellSize] = useState(initialFilters.gridCellSize);
+  const [selectedCellId, setSelectedCellId] = useState(null);
+  const [areaLevel, setAreaLevel] = useState(initialFilters.areaLevel);
+  const [areaMetric, setAreaMetric] = useState(initialFilters.areaMetric);
+  const [uploadedBoundaries, setUploadedBoundaries] = useState(null);
+  const [uploadError, setUploadError] = useState(null);
+  const [mapCenter, setMapCenter] = useState(null);
+  const [zoomLevel, setZoomLevel] = useState(
+    () => ConfigService.getCity(cityId).initialZoom
+  );
+  const [selectedObservation, setSelectedObservation] = useState(null);
+  const [expandedDetail, setExpandedDetail] = useState(false);
+  const [sidebarOpen, setSidebarOpen] = useState(true);
+  const [mapLoaded, setMapLoaded] = useState(false);
+  const [visibleObservations, setVisibleObservations] = useState([]);
+  const [stats, setStats] = useState(() =>
+    StatsUtils.calculateObservationStats([])
+  );
+  const [previousStats, setPreviousStats] = useState(null);
+  const [viewPunchcard, setViewPunchcard] = useState(null);
+
+  // Filtering, viewport stats, patterns and grid bins run off the main thread
+  const [analytics, setAnalytics] = useState(null);
+  const [filterResult, setFilterResult] = useState({
+    observations: null,
+    criteria: null,
+    criteriaData: [],
+    filteredData: [],
+    unslottedData: [],
+    previousData: [],
+  });
+  const [gridCells, setGridCells] = useState([]);
+  const [timeSeries, setTimeSeries] = useState(null);
+
+  // Pattern analysis mode state
+  const [patternMode, setPatternMode] = useState(PATTERN_MODE.NONE);
+  const [patternData, setPatternData] = useState(null);
+  const [patternComparison, setPatternComparison] = useState(null);
+  const [savedMapState, setSavedMapState] = useState(null);
+  const [localRadius, setLocalRadius] = useState(MAP_CONFIG.localPatternRadius);
+  const [drawShape, setDrawShape] = useState(null);
+  const [drawnRegion, setDrawnRegion] = useState(null);
+
+  // URL state waiting for data and map before selection/pattern/view apply
+  const [pendingUrlState, setPendingUrlState] = useState(() =>
+    UrlStateUtils.hasRestorableState(initialUrlState) ? initialUrlState : null
+  );
+
+  // Refs
+  const mapRef = useRef(null);
+  const mapInstanceRef = useRef(null);
+  const markersLayerRef = useRef(null); // { group, renderer, byId, cache }
+  const appliedMarkerStyleRef = useRef(null);
+  const sidebarContentRef = useRef(null);
+  const patternOverlayRef = useRef(null); // local circle or drawn region
+  const cityIdRef = useRef(cityId);
+  const hasSyncedUrlRef = useRef(false);
+
+  const activeCity = ConfigService.getCity(cityId);
+
+  // Load observations from the active city's data source
+  const dataSource = activeCity.dataSource;
+  const [dataState, setDataState] = useState({
+    status: DATA_STATUS.LOADING,
+    source: null,
+    observations: [],
+    error: null,
+  });
+  const [reloadToken, setReloadToken] = useState(0);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setDataState({
+      status: DATA_STATUS.LOADING,
+      source: dataSource,
+      observations: [],
+      error: null,
+    });
+
+    ObservationDataService.load(dataSource, { signal: controller.signal })
+      .then((loaded) => {
+        if (controller.signal.aborted) return;
+        setDataState({
+          status: DATA_STATUS.READY,
+          source: dataSource,
+          observations: loaded,
+          error: null,
+        });
+      })
+      .catch((error) => {
+        if (controller.signal.aborted) return;
+        console.error("Failed to load observations:", error);
+        setDataState({
+          status: DATA_STATUS.ERROR,
+          source: dataSource,
+          observations: [],
+          error: error.message || "Unknown error",
+        });
+      });
+
+    return () => controller.abort();
+  }, [dataSource, reloadToken]);
+
+  const observations = dataState.observations;
+
+  // Boundaries of the chosen area level, from the city config or a local file
+  const boundarySource =
+    areaLevel === UPLOADED_BOUNDARIES
+      ? uploadedBoundaries
+      : activeCity.boundaries[areaLevel] || null;
+  const [boundaryState, setBoundaryState] = useState({
+    status: DATA_STATUS.READY,
+    areas: [],
+    error: null,
+  });
+
+  useEffect(() => {
+    if (!boundarySource || boundarySource.areas) {
+      setBoundaryState({
+        status: DATA_STATUS.READY,
+        areas: boundarySource?.areas || [],
+        error: null,
+      });
+      return;
+    }
+
+    const controller = new AbortController();
+    setBoundaryState({ status: DATA_STATUS.LOADING, areas: [], error: null });
+
+    BoundaryService.load(boundarySource, { signal: controller.signal })
+      .then((areas) => {
+        if (controller.signal.aborted) return;
+        setBoundaryState({ status: DATA_STATUS.READY, areas, error: null });
+      })
+      .catch((error) => {
+        if (controller.signal.aborted) return;
+        console.error("Failed to load boundaries:", error);
+        setBoundaryState({
+          status: DATA_STATUS.ERROR,
+          areas: [],
+          error: error.message || "Unknown error",
+        });
+      });
+
+    return () => controller.abort();
+  }, [boundarySource]);
+
+  // Active period as a [start, end) interval shared by filters and stats
+  const activeRange = useMemo(
+    () => TimeUtils.resolveRange(timeFilter, customRange),
+    [timeFilter, customRange]
+  );
+  const periodDescription = TimeUtils.describePeriod(timeFilter, activeRange);
+  const activeBrush = useMemo(
+    () =>
+      brushRange ? TimeUtils.resolveRange(CUSTOM_PERIOD, brushRange) : null,
+    [brushRange]
+  );
+  const playbackFrame = useMemo(
+    () =>
+      playback
+        ? {
+            start: playback.start,
+            end: TimeUtils.addDays(playback.start, playback.windowDays),
+          }
+        : null,
+    [playback]
+  );
+
+  // What the shown window (playback frame, brush or period) is compared with
+  const comparisonRange = useMemo(
+    () =>
+      isComparing
+        ? TimeUtils.getPreviousRange(
+            playbackFrame || activeBrush || activeRange
+          )
+        : null,
+    [isComparing, playbackFrame, activeBrush, activeRange]
+  );
+
+  // Apply search over descriptions and ids
+  const searchTokens = useMemo(
+    () => SearchUtils.tokenize(searchQuery),
+    [searchQuery]
+  );
+  const filterCriteria = useMemo(
+    () => ({
+      lens: lensFilter,
+      statuses: statusFilter,
+      range: activeRange,
+      timeOfDay,
+      dayFilter,
+      searchTokens,
+      brush: playbackFrame || activeBrush,
+      hourSlot,
+      previousRange: comparisonRange,
+    }),
+    [
+      lensFilter,
+      statusFilter,
+      activeRange,
+      timeOfDay,
+      dayFilter,
+      searchTokens,
+      playbackFrame,
+      activeBrush,
+      hourSlot,
+      comparisonRange,
+    ]
+  );
+
+  // One analytics worker for the component's lifetime
+  useEffect(() => {
+    const client = new AnalyticsClient();
+    setAnalytics(client);
+    return () => client.terminate();
+  }, []);
+
+  useEffect(() => {
+    if (!analytics) return;
+    analytics
+      .request("data", "load", { observations, types: OBSERVATION_TYPES })
+      .catch((error) => console.error("Failed to load analytics:", error));
+  }, [analytics, observations]);
+
+  // Filter in the worker (search included); results are dataset indices,
+  // mapped back onto the observations they were computed from
+  useEffect(() => {
+    if (!analytics) return;
+    const source = observations;
+    analytics
+      .request("filter", "filter", filterCriteria)
+      .then((result) => {
+        if (!result) return; // Superseded by a newer filter
+        const filteredData = result.filtered.map((i) => source[i]);
+        setFilterResult({
+          observations: source,
+          criteria: filterCriteria,
+          criteriaData: result.criteria.map((i) => source[i]),
+          filteredData,
+          unslottedData: result.unslotted
+            ? result.unslotted.map((i) => source[i])
+            : filteredData,
+          previousData: result.previous.map((i) => source[i]),
+        });
+      })
+      .catch((error) => console.error("Failed to filter observations:", error));
+  }, [analytics, observations, filterCriteria]);
+
+  // criteriaData: every filter except search; filteredData: search as well;
+  // unslottedData: filteredData before the hour slot; previousData:
+  // filteredData's matches in the comparison window
+  const { criteriaData, filteredData, unslottedData, previousData } =
+    filterResult;
+  const isFilterSettled =
+    filterResult.observations === observations &&
+    filterResult.criteria === filterCriteria;
+  const settledComparison = filterResult.criteria?.previousRange ?? null;
+
+  // Per-type counts for the time series chart, before the brush
+  useEffect(() => {
+    if (!analytics || !filterResult.criteria) return;
+    analytics
+      .request("series", "timeSeries", {
+        interval: seriesInterval,
+        range: filterResult.criteria.range,
+      })
+      .then((result) => {
+        if (result) setTimeSeries(result);
+      })
+      .catch((error) => console.error("Failed to count time series:", error));
+  }, [analytics, filterResult, seriesInterval]);
+
+  // Playback runs over the brushed dates, or else the chart's whole timeline
+  const firstBucket = timeSeries?.buckets[0];
+  const lastBucket = timeSeries?.buckets[timeSeries.buckets.length - 1];
+  const timelineStart = activeBrush?.start ?? firstBucket?.start ?? null;
+  const timelineEnd = activeBrush?.end ?? lastBucket?.end ?? null;
+
+  // Apply a playback change, keeping frames inside the timeline; playing
+  // stops on the last frame, and resuming there starts over
+  const seekPlayback = useCallback(
+    (update) => {
+      setPlayback((current) => {
+        if (!current || timelineStart === null) return current;
+        const next = { ...current, ...update(current) };
+        const lastStart = Math.max(
+          TimeUtils.addDays(timelineEnd, -next.windowDays),
+          timelineStart
+        );
+        const isRestart =
+          next.isPlaying && !current.isPlaying && next.start >= lastStart;
+        const start = isRestart
+          ? timelineStart
+          : Math.min(Math.max(next.start, timelineStart), lastStart);
+        return {
+          ...next,
+          start,
+          isPlaying: next.isPlaying && start < lastStart,
+        };
+      });
+    },
+    [timelineStart, timelineEnd]
+  );
+
+  // Next frame once the current one has been filtered, so slow filtering
+  // slows playback instead of queueing frames
+  useEffect(() => {
+    if (!playback?.isPlaying || !isFilterSettled) return;
+    const timer = setTimeout(
+      () =>
+        seekPlayback((current) => ({
+          start: TimeUtils.addDays(current.start, 1),
+        })),
+      PLAYBACK_SPEEDS[playback.speed].delay
+    );
+    return () => clearTimeout(timer);
+  }, [playback, isFilterSettled, seekPlayback]);
+
+  // Grid index of the filtered data for radius, viewport and area lookups
+  const spatialIndex = useMemo(
+    () => new SpatialIndex(filteredData),
+    [filteredData]
+  );
+  const unslottedIndex = useMemo(
+    () =>
+      unslottedData === filteredData
+        ? spatialIndex
+        : new SpatialIndex(unslottedData),
+    [unslottedData, filteredData, spatialIndex]
+  );
+  const previousIndex = useMemo(
+    () => new SpatialIndex(previousData),
+    [previousData]
+  );
+
+  // Check if selected observation is still in filtered dataset
+  useEffect(() => {
+    if (
+      selectedObservation &&
+      !filteredData.find((obs) => obs.id === selectedObservation.id)
+    ) {
+      setSelectedObservation(null);
+      setExpandedDetail(false);
+    }
+  }, [filteredData, selectedObservation]);
+
+  // Reset sidebar scroll when new observation selected
+  useEffect(() => {
+    if (selectedObservation && sidebarContentRef.current) {
+      sidebarContentRef.current.scrollTop = 0;
+    }
+  }, [selectedObservation]);
+
+  // Load Leaflet dynamically
+  useEffect(() => {
+    if (typeof window === "undefined" || mapLoaded) return;
+
+    const loadLeaflet = () => {
+      if (window.L) {
+        setMapLoaded(true);
+        return;
+      }
+
+      const link = document.createElement("link");
+      link.rel = "stylesheet";
+      link.href = "https://unpkg.com/leaflet@1.9.4/dist/leaflet.css";
+      document.head.appendChild(link);
+
+      const script = document.createElement("script");
+      script.src = "https://unpkg.com/leaflet@1.9.4/dist/leaflet.js";
+      script.onload = () => {
+        const clusterCSS = document.createElement("link");
+        clusterCSS.rel = "stylesheet";
+        clusterCSS.href =
+          "https://unpkg.com/leaflet.markercluster@1.5.3/dist/MarkerCluster.css";
+        document.head.appendChild(clusterCSS);
+
+        const clusterDefaultCSS = document.createElement("link");
+        clusterDefaultCSS.rel = "stylesheet";
+        clusterDefaultCSS.href =
+          "https://unpkg.com/leaflet.markercluster@1.5.3/dist/MarkerCluster.Default.css";
+        document.head.appendChild(clusterDefaultCSS);
+
+        const clusterScript = document.createElement("script");
+        clusterScript.src =
+          "https://unpkg.com/leaflet.markercluster@1.5.3/dist/leaflet.markercluster.js";
+        clusterScript.onload = () => setMapLoaded(true);
+        clusterScript.onerror = () =>
+          console.error("Failed to load Leaflet MarkerCluster");
+        document.head.appendChild(clusterScript);
+      };
+      script.onerror = () => console.error("Failed to load Leaflet");
+      document.head.appendChild(script);
+    };
+
+    loadLeaflet();
+  }, [mapLoaded]);
+
+  // Initialize map (once)
+  useEffect(() => {
+    if (!mapLoaded || !mapRef.current || mapInstanceRef.current) return;
+
+    try {
+      const L = window.L;
+
+      const map = L.map(
+        mapRef.current,
+        MapUtils.getMapOptions(ConfigService.getCity(cityIdRef.current))
+      );
+
+      L.tileLayer("https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png", {
+        attribution: "© OpenStreetMap contributors",
+        className: "grayscale-tiles",
+      }).addTo(map);
+
+      map.on("zoom", () => setZoomLevel(map.getZoom()));
+
+      mapInstanceRef.current = map;
+    } catch (error) {
+      console.error("Map initialization failed:", error);
+    }
+
+    return () => {
+      if (mapInstanceRef.current) {
+        try {
+          // Remove the local pattern circle or drawn region if present
+          if (patternOverlayRef.current) {
+            mapInstanceRef.current.removeLayer(patternOverlayRef.current);
+            patternOverlayRef.current = null;
+          }
+          mapInstanceRef.current.remove();
+        } catch (error) {
+          console.error("Map cleanup failed:", error);
+        }
+        mapInstanceRef.current = null;
+      }
+    };
+  }, [mapLoaded]);
+
+  // Fit the map to the active city
+  useEffect(() => {
+    cityIdRef.current = cityId;
+
+    if (!mapInstanceRef.current) return;
+    try {
+      MapUtils.fitCity(mapInstanceRef.current, ConfigService.getCity(cityId));
+    } catch (error) {
+      console.error("Failed to fit map to city:", error);
+    }
+  }, [cityId, mapLoaded]);
+
+  // Track visible observations and their stats (all filtered observations
+  // when none are visible) based on map bounds
+  useEffect(() => {
+    if (!analytics || !mapLoaded || !mapInstanceRef.current) return;
+
+    const map = mapInstanceRef.current;
+    const source = filterResult.observations;
+
+    const updateVisibleObservations = () => {
+      const bounds = map.getBounds();
+      analytics
+        .request("viewport", "viewport", {
+          south: bounds.getSouth(),
+          west: bounds.getWest(),
+          north: bounds.getNorth(),
+          east: bounds.getEast(),
+        })
+        .then((result) => {
+          if (!result) return; // Superseded by a newer viewport
+          const visible = result.visible.map((i) => source[i]);
+
+          setVisibleObservations((prev) => {
+            // Only update if actually different
+            if (
+              prev.length === visible.length &&
+              prev.every((obs, idx) => obs.id === visible[idx]?.id)
+            ) {
+              return prev;
+            }
+            return visible;
+          });
+          setStats(result.stats);
+          setPreviousStats(result.previousStats);
+          setViewPunchcard(result.punchcard);
+        })
+        .catch((error) =>
+          console.error("Failed to update visible observations:", error)
+        );
+    };
+
+    map.on("moveend", updateVisibleObservations);
+    map.on("zoomend", updateVisibleObservations);
+
+    updateVisibleObservations();
+
+    return () => {
+      map.off("moveend", updateVisibleObservations);
+      map.off("zoomend", updateVisibleObservations);
+    };
+  }, [analytics, mapLoaded, filterResult]);
+
+  // What marker styling depends on besides the observation itself; each part
+  // only changes identity when it changes value
+  const markerEmphasis = useMemo(() => {
+    if (hoveredBar) {
+      return (obs) =>
+        obs.type === hoveredBar.type &&
+        TimeUtils.isInRange(obs.timestamp, hoveredBar);
+    }
+    if (!patternData) return null;
+    if (patternMode === PATTERN_MODE.CITY_WIDE) {
+      return (obs) => obs.type === patternData.type;
+    }
+    if (
+      patternMode === PATTERN_MODE.LOCAL ||
+      patternMode === PATTERN_MODE.REGION ||
+      patternMode === PATTERN_MODE.HOTSPOTS
+    ) {
+      const ids = new Set(patternData.observations.map((obs) => obs.id));
+      return (obs) => ids.has(obs.id);
+    }
+    return null;
+  }, [hoveredBar, patternMode, patternData]);
+  const markerRadius = MapUtils.getMarkerRadius(zoomLevel);
+  const selectedId = selectedObservation?.id ?? null;
+  const markerStyle = useMemo(
+    () => ({ selectedId, radius: markerRadius, isEmphasized: markerEmphasis }),
+    [selectedId, markerRadius, markerEmphasis]
+  );
+
+  // Marker layer: one cluster group drawn on canvas, kept while the markers
+  // layer is showing; the effects below patch it rather than rebuild it
+  useEffect(() => {
+    if (!mapLoaded || !mapInstanceRef.current || !window.L) return;
+    if (mapLayer !== MAP_LAYERS.MARKERS) return;
+
+    const L = window.L;
+    const map = mapInstanceRef.current;
+    const group = L.markerClusterGroup({
+      maxClusterRadius: MAP_CONFIG.clusterRadiusPixels,
+      chunkedLoading: true,
+      iconCreateFunction: function (cluster) {
+        const count = cluster.getChildCount();
+        const size = MapUtils.getClusterSize(count);
+        const dims = MapUtils.getClusterDimensions(size);
+
+        return L.divIcon({
+          html: `<div style="
+            width: ${dims.width}px;
+            height: ${dims.height}px;
+            border: 2px solid ${THEME.colors.black};
+            background: ${THEME.colors.white};
+            border-radius: 50%;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            font-family: 'IBM Plex Mono', monospace;
+            font-size: ${dims.fontSize};
+            font-weight: 600;
+            color: ${THEME.colors.black};
+          ">${count}</div>`,
+          className: "custom-cluster-icon",
+          iconSize: L.point(dims.width, dims.height),
+        });
+      },
+    });
+
+    try {
+      map.addLayer(group);
+    } catch (error) {
+      console.error("Failed to add marker layer:", error);
+    }
+    markersLayerRef.current = {
+      group,
+      renderer: L.canvas({ padding: 0.5 }),
+      byId: new Map(),
+      cache: new WeakMap(), // markers by observation, reused when refiltered
+    };
+
+    return () => {
+      map.removeLayer(group);
+      markersLayerRef.current = null;
+    };
+  }, [mapLoaded, mapLayer]);
+
+  // Restyle in place: selection touches two markers, zoom touches all of
+  // them, and emphasis only those whose emphasis flips (moving between time
+  // series bars touches the two bars' markers)
+  useEffect(() => {
+    const previous = appliedMarkerStyleRef.current;
+    appliedMarkerStyleRef.current = markerStyle;
+
+    const layer = markersLayerRef.current;
+    if (!layer || !previous || previous === markerStyle) return;
+
+    const restyle = (marker) =>
+      marker.setStyle(MapUtils.getMarkerStyle(marker.observation, markerStyle));
+
+    const emphasisOf = (isEmphasized, obs) =>
+      isEmphasized ? isEmphasized(obs) : null;
+
+    if (previous.radius !== markerStyle.radius) {
+      layer.byId.forEach(restyle);
+    } else if (previous.isEmphasized !== markerStyle.isEmphasized) {
+      layer.byId.forEach((marker, id) => {
+        const obs = marker.observation;
+        if (
+          emphasisOf(previous.isEmphasized, obs) !==
+            emphasisOf(markerStyle.isEmphasized, obs) ||
+          id === previous.selectedId ||
+          id === markerStyle.selectedId
+        ) {
+          restyle(marker);
+        }
+      });
+    } else {
+      [previous.selectedId, markerStyle.selectedId].forEach((id) => {
+        const marker = layer.byId.get(id);
+        if (marker) restyle(marker);
+      });
+    }
+
+    const selected = layer.byId.get(markerStyle.selectedId);
+    if (selected && mapInstanceRef.current.hasLayer(selected)) {
+      selected.bringToFront();
+    }
+  }, [markerStyle]);
+
+  // Add and remove only the markers whose observations changed; new markers
+  // take the style the effect above last applied
+  useEffect(() => {
+    const layer = markersLayerRef.current;
+    if (!layer || !window.L) return;
+
+    try {
+      const L = window.L;
+      const style = appliedMarkerStyleRef.current;
+      const nextIds = new Set();
+      const added = [];
+      const removed = [];
+
+      filteredData.forEach((obs) => {
+        nextIds.add(obs.id);
+        const existing = layer.byId.get(obs.id);
+        if (existing?.observation === obs) return;
+        if (existing) removed.push(existing); // Same id, reloaded record
+
+        let marker = layer.cache.get(obs);
+        if (marker) {
+          marker.setStyle(MapUtils.getMarkerStyle(obs, style));
+        } else {
+          marker = L.circleMarker([obs.lat, obs.lng], {
+            ...MapUtils.getMarkerStyle(obs, style),
+            renderer: layer.renderer,
+          });
+          marker.observation = obs;
+          layer.cache.set(obs, marker);
+        }
+        layer.byId.set(obs.id, marker);
+        added.push(marker);
+      });
+      layer.byId.forEach((marker, id) => {
+        if (nextIds.has(id)) return;
+        removed.push(marker);
+        layer.byId.delete(id);
+      });
+
+      // Swapping most of the layer is cheaper as a clear and reload
+      if (removed.length > nextIds.size / 2) {
+        layer.group.clearLayers();
+        layer.group.addLayers([...layer.byId.values()]);
+      } else {
+        if (removed.length > 0) layer.group.removeLayers(removed);
+        if (added.length > 0) layer.group.addLayers(added);
+      }
+    } catch (error) {
+      console.error("Failed to update markers:", error);
+    }
+  }, [filteredData, mapLoaded, mapLayer]);
+
+  // One click handler and popup for every marker
+  useEffect(() => {
+    const layer = markersLayerRef.current;
+    if (!layer || !window.L) return;
+
+    const onMarkerClick = (e) => {
+      const obs = e.layer.observation;
+      if (!obs) return;
+
+      window.L.popup()
+        .setLatLng(e.layer.getLatLng())
+        .setContent(MapUtils.getMarkerPopupContent(obs))
+        .openOn(mapInstanceRef.current);
+
+      // In pattern mode or while drawing, clicking markers does nothing
+      if (patternMode === PATTERN_MODE.NONE && !drawShape) {
+        setSelectedObservation(obs);
+        setExpandedDetail(false);
+        setSidebarOpen(true);
+      }
+    };
+
+    layer.group.on("click", onMarkerClick);
+    return () => layer.group.off("click", onMarkerClick);
+  }, [mapLoaded, mapLayer, patternMode, drawShape]);
+
+  // Density layer in place of markers, rebuilt as filters change
+  useEffect(() => {
+    if (!mapLoaded || !mapInstanceRef.current || !window.L) return;
+    if (mapLayer !== MAP_LAYERS.HEATMAP) return;
+
+    const map = mapInstanceRef.current;
+    const weights = DensityUtils.getWeights(filteredData, heatmapWeighting);
+    const layer = MapUtils.createHeatmapLayer(
+      window.L,
+      filteredData.map((obs, index) => ({
+        lat: obs.lat,
+        lng: obs.lng,
+        weight: weights[index],
+      })),
+      { bandwidthMeters: MAP_CONFIG.heatmapBandwidth }
+    );
+
+    try {
+      layer.addTo(map);
+    } catch (error) {
+      console.error("Failed to draw density layer:", error);
+    }
+    return () => map.removeLayer(layer);
+  }, [mapLoaded, mapLayer, heatmapWeighting, filteredData]);
+
+  // Aggregation cells of the filtered data, anchored on the city centre
+  useEffect(() => {
+    if (!analytics || mapLayer !== MAP_LAYERS.GRID) {
+      setGridCells((prev) => (prev.length > 0 ? [] : prev));
+      return;
+    }
+
+    const source = filterResult.observations;
+    analytics
+      .request("grid", "aggregate", {
+        shape: gridShape,
+        cellSize: gridCellSize,
+        originLat: activeCity.center[0],
+      })
+      .then((result) => {
+        if (!result) return; // Superseded by a newer grid
+        setGridCells(
+          result.cells.map(({ id, polygon, indices }) => ({
+            id,
+            polygon,
+            observations: indices.map((i) => source[i]),
+          }))
+        );
+      })
+      .catch((error) => console.error("Failed to aggregate:", error));
+  }, [analytics, mapLayer, filterResult, gridShape, gridCellSize, activeCity]);
+  const selectedCell = useMemo(
+    () => gridCells.find((cell) => cell.id === selectedCellId) || null,
+    [gridCells, selectedCellId]
+  );
+
+  // Aggregation layer in place of markers, shaded by count
+  useEffect(() => {
+    if (!mapLoaded || !mapInstanceRef.current || !window.L) return;
+    if (mapLayer !== MAP_LAYERS.GRID) return;
+
+    const L = window.L;
+    const map = mapInstanceRef.current;
+    const maxCount = Math.max(
+      1,
+      ...gridCells.map((cell) => cell.observations.length)
+    );
+    const group = L.layerGroup();
+
+    gridCells.forEach((cell) => {
+      const [r, g, b, a] = DensityUtils.getRampColor(
+        cell.observations.length / maxCount
+      );
+      const isSelected = cell.id === selectedCellId;
+      const polygon = L.polygon(cell.polygon, {
+        color: THEME.colors.black,
+        weight: isSelected ? 3 : 1,
+        opacity: isSelected ? 1 : 0.4,
+        fillColor: `rgb(${r}, ${g}, ${b})`,
+        fillOpacity: Math.max(a, 0.1),
+      });
+
+      polygon.bindTooltip(`${cell.observations.length}`, { sticky: true });
+      polygon.on("click", () => {
+        // In pattern mode, clicking cells does nothing
+        if (patternMode === PATTERN_MODE.NONE) {
+          setSelectedCellId(cell.id);
+          setSelectedObservation(null);
+          setExpandedDetail(false);
+          setSidebarOpen(true);
+        }
+      });
+      group.addLayer(polygon);
+    });
+
+    group.addTo(map);
+    return () => map.removeLayer(group);
+  }, [mapLoaded, mapLayer, gridCells, selectedCellId, patternMode]);
+
+  // Observations assigned to areas, ranked for the sidebar
+  const areaStats = useMemo(() => {
+    if (boundaryState.areas.length === 0) return null;
+
+    let stats = AreaUtils.calculateAreaStats(
+      boundaryState.areas,
+      filteredData,
+      spatialIndex
+    );
+    if (settledComparison) {
+      stats = AreaUtils.addPreviousTotals(
+        stats,
+        AreaUtils.calculateAreaStats(
+          boundaryState.areas,
+          previousData,
+          previousIndex
+        )
+      );
+    }
+    if (!areaMetric) return stats;
+    return {
+      ...stats,
+      rows: AreaUtils.rankByMetric(stats.rows, areaMetric),
+      extent: AreaUtils.getMetricExtent(stats.rows, areaMetric),
+    };
+  }, [
+    boundaryState,
+    filteredData,
+    spatialIndex,
+    settledComparison,
+    previousData,
+    previousIndex,
+    areaMetric,
+  ]);
+
+  // Area outlines, shaded by the chosen metric, under every observation layer
+  useEffect(() => {
+    if (!mapLoaded || !mapInstanceRef.current || !window.L) return;
+    if (!areaStats) return;
+
+    const L = window.L;
+    const map = mapInstanceRef.current;
+    const group = L.layerGroup();
+
+    areaStats.rows.forEach(({ area, stats }) => {
+      const value = areaMetric
+        ? AREA_METRICS[areaMetric].getValue(stats)
+        : null;
+      const isShaded = value !== null && areaStats.extent;
+      const [r, g, b] = isShaded
+        ? DensityUtils.getRampColor(
+            0.2 +
+              0.8 * AreaUtils.getSeverity(value, areaStats.extent, areaMetric)
+          )
+        : [0, 0, 0];
+
+      const polygon = L.polygon(
+        area.polygons.map((rings) =>
+          rings.map((ring) => ring.map(([lng, lat]) => [lat, lng]))
+        ),
+        {
+          color: THEME.colors.black,
+          weight: 1.5,
+          opacity: 0.6,
+          dashArray: "4, 4",
+          fill: Boolean(areaMetric),
+          fillColor: `rgb(${r}, ${g}, ${b})`,
+          fillOpacity: isShaded ? 0.55 : 0,
+          interactive: Boolean(areaMetric),
+        }
+      ).addTo(group);
+
+      if (areaMetric) {
+        polygon.bindTooltip(
+          `${ContentUtils.escapeHtml(area.name)}: ${
+            value !== null ? AREA_METRICS[areaMetric].format(value) : "no data"
+          } (${stats.total} obs.)`,
+          { sticky: true }
+        );
+      }
+      polygon.bringToBack();
+    });
+
+    group.addTo(map);
+    return () => map.removeLayer(group);
+  }, [mapLoaded, areaStats, areaMetric]);
+
+  // Area under the map centre, for the scale indicator
+  useEffect(() => {
+    if (!mapLoaded || !mapInstanceRef.current) return;
+
+    const map = mapInstanceRef.current;
+    const onMoveEnd = () => setMapCenter(map.getCenter());
+
+    onMoveEnd();
+    map.on("moveend", onMoveEnd);
+    return () => map.off("moveend", onMoveEnd);
+  }, [mapLoaded]);
+
+  const centerArea = useMemo(
+    () =>
+      mapCenter && boundaryState.areas.length > 0
+        ? AreaUtils.findArea(boundaryState.areas, mapCenter.lat, mapCenter.lng)
+        : null,
+    [mapCenter, boundaryState]
+  );
+  const areaLevelLabel = BOUNDARY_LEVELS[areaLevel]?.label || "Area";
+
+  const handleBoundaryUpload = useCallback(async (file) => {
+    try {
+      const areas = BoundaryService.normalize(JSON.parse(await file.text()));
+      setUploadedBoundaries({ name: file.name, areas });
+      setUploadError(null);
+      setAreaLevel(UPLOADED_BOUNDARIES);
+    } catch (error) {
+      console.error("Failed to read boundary file:", error);
+      setUploadError(error.message || "Unknown error");
+    }
+  }, []);
+
+  const handleAreaSelect = useCallback((area) => {
+    if (!mapInstanceRef.current) return;
+    mapInstanceRef.current.fitBounds(AreaUtils.getBounds(area), {
+      padding: [30, 30],
+      animate: true,
+    });
+  }, []);
+
+  // Custom period starts from the extent of the loaded data
+  const handleCustomPeriod = useCallback(() => {
+    if (!customRange) {
+      // A loop rather than Math.min(...), which overflows on large arrays
+      let [earliest, latest] = [Infinity, -Infinity];
+      observations.forEach((obs) => {
+        earliest = Math.min(earliest, obs.timestamp);
+        latest = Math.max(latest, obs.timestamp);
+      });
+      const now = Date.now();
+      setCustomRange({
+        from: TimeUtils.toDateInput(
+          observations.length > 0 ? earliest : now - 30 * 24 * 60 * 60 * 1000
+        ),
+        to: TimeUtils.toDateInput(observations.length > 0 ? latest : now),
+      });
+    }
+    setTimeFilter(CUSTOM_PERIOD);
+  }, [customRange, observations]);
+
+  // Pattern analysis handlers
+  const removePatternOverlay = useCallback(() => {
+    if (mapInstanceRef.current && patternOverlayRef.current) {
+      mapInstanceRef.current.removeLayer(patternOverlayRef.current);
+    }
+    patternOverlayRef.current = null;
+  }, []);
+
+  // Same-type observations city-wide or within a radius of a point, with
+  // their stats; null when a newer pattern request replaced this one
+  const requestPattern = useCallback(
+    async (mode, reference, radius) => {
+      const result = await analytics.request(
+        "pattern",
+        mode === PATTERN_MODE.CITY_WIDE ? "cityWidePattern" : "localPattern",
+        {
+          reference: {
+            lat: reference.lat,
+            lng: reference.lng,
+            type: reference.type,
+          },
+          radius,
+          range: activeRange,
+        }
+      );
+      if (!result) return null;
+      return {
+        observations: result.indices.map((i) => observations[i]),
+        stats: result.stats,
+        punchcard: result.punchcard,
+      };
+    },
+    [analytics, observations, activeRange]
+  );
+
+  // Enter a pattern mode around a reference observation; resolves true once
+  // applied
+  const enterPatternMode = useCallback(
+    async (mode, reference, { fitMap = true, radius = localRadius } = {}) => {
+      if (!reference || !mapInstanceRef.current || !analytics) return false;
+
+      let pattern;
+      try {
+        pattern = await requestPattern(mode, reference, radius);
+      } catch (error) {
+        console.error("Failed to analyse pattern:", error);
+        return false;
+      }
+      if (!pattern || !mapInstanceRef.current) return false;
+
+      const map = mapInstanceRef.current;
+      const L = window.L;
+
+      // Save current state for restoration
+      setSavedMapState({
+        center: map.getCenter(),
+        zoom: map.getZoom(),
+        selectedObservation: reference,
+      });
+
+      removePatternOverlay();
+
+      if (mode === PATTERN_MODE.CITY_WIDE) {
+        // Zoom to fit all matching observations
+        const bounds = MapUtils.getBoundsForPoints(pattern.observations);
+        if (fitMap && bounds) {
+          map.fitBounds(bounds, { padding: [50, 50], animate: true });
+        }
+
+        setPatternData({
+          type: reference.type,
+          reference: reference.id,
+          observations: pattern.observations,
+          stats: pattern.stats,
+          punchcard: pattern.punchcard,
+        });
+      } else {
+        // Center map on reference observation
+        if (fitMap) {
+          map.setView([reference.lat, reference.lng], map.getZoom(), {
+            animate: true,
+          });
+        }
+
+        // Draw proximity circle
+        patternOverlayRef.current = L.circle([reference.lat, reference.lng], {
+          radius,
+          color: THEME.colors.gray.medium,
+          fillColor: "transparent",
+          weight: 1,
+          opacity: 0.5,
+          dashArray: "5, 5",
+        }).addTo(map);
+
+        setPatternData({
+          type: reference.type,
+          reference: reference.id,
+          observations: pattern.observations,
+          stats: pattern.stats,
+          punchcard: pattern.punchcard,
+          center: { lat: reference.lat, lng: reference.lng },
+          radius,
+        });
+      }
+
+      // Set pattern mode
+      setPatternMode(mode);
+      setSelectedObservation(null);
+      setExpandedDetail(false);
+      return true;
+    },
+    [analytics, localRadius, requestPattern, removePatternOverlay]
+  );
+
+  // Re-run the local pattern as the radius slider moves; the circle follows
+  // at once, the stats when the worker answers
+  const handleLocalRadiusChange = useCallback(
+    (radius) => {
+      setLocalRadius(radius);
+      if (patternMode !== PATTERN_MODE.LOCAL || !patternData) return;
+
+      if (patternOverlayRef.current) {
+        patternOverlayRef.current.setRadius(radius);
+      }
+      requestPattern(
+        PATTERN_MODE.LOCAL,
+        { ...patternData.center, type: patternData.type },
+        radius
+      )
+        .then((pattern) => {
+          if (!pattern) return; // Superseded by a newer radius
+          setPatternData((prev) =>
+            prev?.center
+              ? {
+                  ...prev,
+                  observations: pattern.observations,
+                  stats: pattern.stats,
+                  punchcard: pattern.punchcard,
+                  radius,
+                }
+              : prev
+          );
+        })
+        .catch((error) => console.error("Failed to analyse pattern:", error));
+    },
+    [patternMode, patternData, requestPattern]
+  );
+
+  const handleCityWidePattern = useCallback(() => {
+    enterPatternMode(PATTERN_MODE.CITY_WIDE, selectedObservation);
+  }, [enterPatternMode, selectedObservation]);
+
+  const handleLocalPattern = useCallback(() => {
+    enterPatternMode(PATTERN_MODE.LOCAL, selectedObservation);
+  }, [enterPatternMode, selectedObservation]);
+
+  // A hotspot opens as a local pattern of its most common type, with the
+  // radius reaching its furthest observation
+  const handleHotspotSelect = useCallback(
+    (hotspot) => {
+      const { min, max, step } = LOCAL_RADIUS_LIMITS;
+      const radius = Math.min(
+        Math.max(Math.ceil(hotspot.reach / step) * step, min),
+        max
+      );
+      setLocalRadius(radius);
+      enterPatternMode(PATTERN_MODE.LOCAL, hotspot.reference, { radius });
+    },
+    [enterPatternMode]
+  );
+
+  // Find significant hotspots in the filtered data and outline them
+  const enterHotspotMode = useCallback(
+    async ({ fitMap = true } = {}) => {
+      if (!mapInstanceRef.current || !analytics) return false;
+
+      let result;
+      try {
+        result = await analytics.request("pattern", "hotspots", {
+          cellSize: HOTSPOT_ANALYSIS.cellSize,
+          originLat: activeCity.center[0],
+          alpha: HOTSPOT_ANALYSIS.alpha,
+        });
+      } catch (error) {
+        console.error("Failed to find hotspots:", error);
+        return false;
+      }
+      if (!result || !mapInstanceRef.current) return false;
+
+      const map = mapInstanceRef.current;
+      const L = window.L;
+      const hotspots = result.hotspots.map(
+        ({ indices, reference, ...hotspot }) => ({
+          ...hotspot,
+          observations: indices.map((i) => observations[i]),
+          reference: observations[reference],
+        })
+      );
+
+      setSavedMapState({
+        center: map.getCenter(),
+        zoom: map.getZoom(),
+        selectedObservation: null,
+      });
+
+      removePatternOverlay();
+
+      patternOverlayRef.current = L.layerGroup(
+        hotspots.map((hotspot, index) =>
+          L.polyline(hotspot.outline, {
+            color: THEME.colors.black,
+            weight: 2,
+          })
+            .bindTooltip(
+              `#${index + 1} · ${hotspot.observations.length} observations`,
+              { sticky: true }
+            )
+            .on("click", () => handleHotspotSelect(hotspot))
+        )
+      ).addTo(map);
+
+      // Zoom to fit every hotspot
+      const bounds = MapUtils.getBoundsForPoints(
+        hotspots.flatMap((hotspot) =>
+          hotspot.bounds.map(([lat, lng]) => ({ lat, lng }))
+        )
+      );
+      if (fitMap && bounds) {
+        map.fitBounds(bounds, { padding: [50, 50], animate: true });
+      }
+
+      setPatternData({
+        type: null,
+        reference: null,
+        hotspots,
+        observations: hotspots.flatMap((hotspot) => hotspot.observations),
+        stats: {
+          ...HOTSPOT_ANALYSIS,
+          count: result.count,
+          minObservations: result.minObservations,
+        },
+      });
+      setPatternMode(PATTERN_MODE.HOTSPOTS);
+      setSelectedObservation(null);
+      setExpandedDetail(false);
+      setSidebarOpen(true);
+      return true;
+    },
+    [
+      analytics,
+      observations,
+      activeCity,
+      removePatternOverlay,
+      handleHotspotSelect,
+    ]
+  );
+
+  // Analyse the observations inside a drawn region
+  const enterRegionMode = useCallback(
+    (region, { fitMap = false } = {}) => {
+      if (!mapInstanceRef.current) return;
+
+      const map = mapInstanceRef.current;
+      setSavedMapState({
+        center: map.getCenter(),
+        zoom: map.getZoom(),
+        selectedObservation: null,
+      });
+
+      // A local or city-wide pattern still in flight must not land on top
+      if (analytics) analytics.cancelChannel("pattern");
+      removePatternOverlay();
+
+      const [[south, west], [north, east]] = RegionUtils.getBounds(region);
+      const isInside = (obs) =>
+        RegionUtils.containsPoint(region, obs.lat, obs.lng);
+      const insideObs = spatialIndex
+        .inBounds(south, west, north, east)
+        .filter(isInside);
+      const stats = PatternUtils.calculateRegionStats(insideObs, activeRange);
+      // Like the other punchcards, counted before the hour slot
+      const punchcard = HourOfWeekUtils.countByHourOfWeek(
+        unslottedIndex.inBounds(south, west, north, east).filter(isInside)
+      );
+
+      if (fitMap) {
+        map.fitBounds(RegionUtils.getBounds(region), {
+          padding: [50, 50],
+          animate: true,
+        });
+      }
+
+      patternOverlayRef.current = RegionUtils.toLayer(window.L, region, {
+        color: THEME.colors.black,
+        weight: 2,
+        dashArray: "6, 4",
+        fillOpacity: 0.05,
+        interactive: false,
+      }).addTo(map);
+
+      setPatternData({
+        type: null,
+        reference: null,
+        region,
+        observations: insideObs,
+        stats,
+        punchcard,
+      });
+      setPatternMode(PATTERN_MODE.REGION);
+      setSelectedObservation(null);
+      setExpandedDetail(false);
+      setSidebarOpen(true);
+    },
+    [analytics, spatialIndex, unslottedIndex, activeRange, removePatternOverlay]
+  );
+
+  // The open pattern's stats over the comparison window, kept with the
+  // pattern they belong to; regions are counted here like their current
+  // stats, the rest in the worker
+  useEffect(() => {
+    if (!analytics || !settledComparison || !patternData) {
+      setPatternComparison(null);
+      return;
+    }
+
+    if (patternMode === PATTERN_MODE.REGION) {
+      const { region } = patternData;
+      const [[south, west], [north, east]] = RegionUtils.getBounds(region);
+      const insideObs = previousIndex
+        .inBounds(south, west, north, east)
+        .filter((obs) => RegionUtils.containsPoint(region, obs.lat, obs.lng));
+      setPatternComparison({
+        pattern: patternData,
+        stats: PatternUtils.calculateRegionStats(insideObs, settledComparison),
+      });
+      return;
+    }
+    if (
+      patternMode !== PATTERN_MODE.CITY_WIDE &&
+      patternMode !== PATTERN_MODE.LOCAL
+    ) {
+      setPatternComparison(null);
+      return;
+    }
+
+    let isCurrent = true;
+    analytics
+      .request(
+        "comparison",
+        patternMode === PATTERN_MODE.CITY_WIDE
+          ? "cityWidePattern"
+          : "localPattern",
+        {
+          reference: { ...patternData.center, type: patternData.type },
+          radius: patternData.radius,
+          range: settledComparison,
+          previous: true,
+        }
+      )
+      .then((result) => {
+        if (result && isCurrent) {
+          setPatternComparison({ pattern: patternData, stats: result.stats });
+        }
+      })
+      .catch((error) => console.error("Failed to compare pattern:", error));
+    return () => {
+      isCurrent = false;
+    };
+  }, [analytics, settledComparison, previousIndex, patternMode, patternData]);
+
+  // Drawing tool: one shape at a time, ends in region mode or on Escape
+  useEffect(() => {
+    if (!drawShape || !mapLoaded || !mapInstanceRef.current) return;
+
+    return MapUtils.startRegionDrawing(
+      window.L,
+      mapInstanceRef.current,
+      drawShape,
+      {
+        style: {
+          color: THEME.colors.black,
+          weight: 2,
+          dashArray: "6, 4",
+          fillOpacity: 0.05,
+          interactive: false,
+        },
+        onComplete: (region) => {
+          setDrawShape(null);
+          setDrawnRegion(region);
+        },
+        onCancel: () => setDrawShape(null),
+      }
+    );
+  }, [drawShape, mapLoaded]);
+
+  // Analyse a finished drawing (kept out of the drawing effect so filter
+  // changes mid-drawing do not restart it)
+  useEffect(() => {
+    if (!drawnRegion) return;
+    enterRegionMode(drawnRegion);
+    setDrawnRegion(null);
+  }, [drawnRegion, enterRegionMode]);
+
+  // Drop pattern mode without touching the map view or selection
+  const resetPatternMode = useCallback(() => {
+    if (analytics) analytics.cancelChannel("pattern");
+    removePatternOverlay();
+    setPatternMode(PATTERN_MODE.NONE);
+    setPatternData(null);
+    setSavedMapState(null);
+  }, [analytics, removePatternOverlay]);
+
+  const handleClearPatternMode = useCallback(() => {
+    if (!mapInstanceRef.current) return;
+
+    // Restore map state and selection (absent when opened from a link)
+    if (savedMapState) {
+      mapInstanceRef.current.setView(savedMapState.center, savedMapState.zoom, {
+        animate: true,
+      });
+      setSelectedObservation(savedMapState.selectedObservation);
+    }
+
+    // Clear pattern mode
+    resetPatternMode();
+  }, [savedMapState, resetPatternMode]);
+
+  // Switching city discards selection and pattern analysis of the old data
+  const switchCity = useCallback(
+    (nextCityId) => {
+      resetPatternMode();
+      setSelectedObservation(null);
+      setExpandedDetail(false);
+      setVisibleObservations([]);
+      setSelectedCellId(null);
+      setDrawShape(null);
+      setBrushRange(null);
+      setHoveredBar(null);
+      setPlayback(null);
+      setAreaLevel((level) =>
+        level === UPLOADED_BOUNDARIES ||
+        ConfigService.getCity(nextCityId).boundaries[level]
+          ? level
+          : null
+      );
+      setCityId(nextCityId);
+    },
+    [resetPatternMode]
+  );
+
+  const handleCityChange = useCallback(
+    (nextCityId) => {
+      if (nextCityId === cityId || !ConfigService.isKnownCity(nextCityId)) {
+        return;
+      }
+      switchCity(nextCityId);
+    },
+    [cityId, switchCity]
+  );
+
+  // An exact id jumps straight to that observation
+  const handleSearchChange = useCallback(
+    (query) => {
+      setSearchQuery(query);
+
+      const match = SearchUtils.findById(criteriaData, query);
+      if (!match || !mapInstanceRef.current) return;
+
+      const map = mapInstanceRef.current;
+      resetPatternMode();
+      map.setView(
+        [match.lat, match.lng],
+        Math.max(map.getZoom(), SEARCH_RESULT_ZOOM),
+        { animate: true }
+      );
+      setSelectedObservation(match);
+      setExpandedDetail(false);
+      setSidebarOpen(true);
+    },
+    [criteriaData, resetPatternMode]
+  );
+
+  // Browser back/forward: re-apply filters now, the rest once data is ready
+  useEffect(() => {
+    const onPopState = () => {
+      const urlState = UrlStateUtils.parse();
+      const filters = UrlStateUtils.resolveFilters(urlState);
+
+      if (filters.city !== cityIdRef.current) switchCity(filters.city);
+      setLensFilter(filters.lensFilter);
+      setTimeFilter(filters.period);
+      setCustomRange(filters.customRange);
+      setBrushRange(filters.brushRange);
+      setHourSlot(filters.hourSlot);
+      setIsComparing(filters.isComparing);
+      setTimeOfDay(filters.timeOfDay);
+      setDayFilter(filters.dayFilter);
+      setStatusFilter(filters.statusFilter);
+      setSearchQuery(filters.search);
+      setMapLayer(filters.mapLayer);
+      setHeatmapWeighting(filters.heatmapWeighting);
+      setGridShape(filters.gridShape);
+      setGridCellSize(filters.gridCellSize);
+      setAreaLevel(filters.areaLevel);
+      setAreaMetric(filters.areaMetric);
+      setPendingUrlState(urlState);
+    };
+
+    window.addEventListener("popstate", onPopState);
+    return () => window.removeEventListener("popstate", onPopState);
+  }, [switchCity]);
+
+  // Apply selection, pattern mode and viewport from the URL
+  useEffect(() => {
+    if (!pendingUrlState || !mapLoaded || !mapInstanceRef.current) return;
+    if (
+      dataState.source !== dataSource ||
+      dataState.status === DATA_STATUS.LOADING ||
+      !isFilterSettled
+    ) {
+      return;
+    }
+
+    const { selected, pattern, reference, region, radius, view } =
+      pendingUrlState;
+    const findObservation = (id) =>
+      id ? filteredData.find((obs) => obs.id === id) || null : null;
+    const referenceObs = findObservation(reference);
+    const drawn = RegionUtils.decode(region);
+
+    const finishRestore = () => {
+      if (view) {
+        mapInstanceRef.current.setView(view.center, view.zoom, {
+          animate: false,
+        });
+      }
+      setPendingUrlState(null);
+    };
+
+    // Stay pending until the worker answers, so the URL is not rewritten
+    // without the pattern in the meantime
+    const finishAfter = (entering) => {
+      let isCurrent = true;
+      entering.then(() => {
+        if (isCurrent && mapInstanceRef.current) finishRestore();
+      });
+      return () => {
+        isCurrent = false;
+      };
+    };
+
+    resetPatternMode();
+    if (pattern === PATTERN_MODE.REGION && drawn) {
+      enterRegionMode(drawn, { fitMap: !view });
+    } else if (
+      referenceObs &&
+      (pattern === PATTERN_MODE.CITY_WIDE || pattern === PATTERN_MODE.LOCAL)
+    ) {
+      const urlRadius = Number(radius);
+      const patternRadius =
+        urlRadius >= LOCAL_RADIUS_LIMITS.min &&
+        urlRadius <= LOCAL_RADIUS_LIMITS.max
+          ? urlRadius
+          : MAP_CONFIG.localPatternRadius;
+      setLocalRadius(patternRadius);
+      return finishAfter(
+        enterPatternMode(pattern, referenceObs, {
+          fitMap: !view,
+          radius: patternRadius,
+        })
+      );
+    } else if (pattern === PATTERN_MODE.HOTSPOTS) {
+      return finishAfter(enterHotspotMode({ fitMap: !view }));
+    } else {
+      setSelectedObservation(findObservation(selected));
+      setExpandedDetail(false);
+    }
+
+    finishRestore();
+  }, [
+    pendingUrlState,
+    mapLoaded,
+    dataState,
+    dataSource,
+    isFilterSettled,
+    filteredData,
+    enterPatternMode,
+    enterHotspotMode,
+    enterRegionMode,
+    resetPatternMode,
+  ]);
+
+  // Mirror view state into the URL: one history entry per discrete change
+  useEffect(() => {
+    if (pendingUrlState) return; // State is mid-restore, not final yet
+
+    const map = mapInstanceRef.current;
+    const isSelectionVisible =
+      selectedObservation &&
+      filteredData.some((obs) => obs.id === selectedObservation.id);
+    const search = UrlStateUtils.buildSearch({
+      city: ConfigService.getCityIds().length > 1 ? cityId : null,
+      lens: lensFilter.length > 0 ? lensFilter.join(",") : null,
+      period:
+        timeFilter !== ConfigService.current.defaultTimeWindow
+          ? timeFilter
+          : null,
+      from: timeFilter === CUSTOM_PERIOD ? customRange?.from : null,
+      to: timeFilter === CUSTOM_PERIOD ? customRange?.to : null,
+      brush: brushRange ? `${brushRange.from},${brushRange.to}` : null,
+      slot: hourSlot ? `${hourSlot.day},${hourSlot.hour}` : null,
+      compare: isComparing ? "1" : null,
+      hours: timeOfDay.length > 0 ? timeOfDay.join(",") : null,
+      days: dayFilter !== DAY_FILTERS.ALL ? dayFilter : null,
+      status: statusFilter.length > 0 ? statusFilter.join(",") : null,
+      search: searchQuery.trim() || null,
+      layer: mapLayer !== MAP_LAYERS.MARKERS ? mapLayer : null,
+      weighting:
+        mapLayer === MAP_LAYERS.HEATMAP && heatmapWeighting !== "count"
+          ? heatmapWeighting
+          : null,
+      gridShape:
+        mapLayer === MAP_LAYERS.GRID && gridShape !== "square"
+          ? gridShape
+          : null,
+      gridCellSize:
+        mapLayer === MAP_LAYERS.GRID && gridCellSize !== MAP_CONFIG.gridCellSize
+          ? gridCellSize
+          : null,
+      areaLevel: areaLevel !== UPLOADED_BOUNDARIES ? areaLevel : null,
+      areaMetric:
+        areaLevel && areaLevel !== UPLOADED_BOUNDARIES ? areaMetric : null,
+      selected: isSelectionVisible ? selectedObservation.id : null,
+      pattern: patternMode !== PATTERN_MODE.NONE ? patternMode : null,
+      reference:
+        patternMode !== PATTERN_MODE.NONE ? patternData?.reference : null,
+      region:
+        patternMode === PATTERN_MODE.REGION && patternData
+          ? RegionUtils.encode(patternData.region)
+          : null,
+      radius:
+        patternMode === PATTERN_MODE.LOCAL &&
+        patternData?.radius !== MAP_CONFIG.localPatternRadius
+          ? patternData?.radius
+          : null,
+      view: map
+        ? UrlStateUtils.formatView(map)
+        : new URLSearchParams(window.location.search).get(URL_PARAMS.view),
+    });
+
+    if (!UrlStateUtils.isSameEntry(search, window.location.search)) {
+      UrlStateUtils.write(search, { replace: !hasSyncedUrlRef.current });
+    } else if (search !== window.location.search) {
+      UrlStateUtils.write(search, { replace: true });
+    }
+    hasSyncedUrlRef.current = true;
+  }, [
+    pendingUrlState,
+    cityId,
+    lensFilter,
+    timeFilter,
+    customRange,
+    brushRange,
+    hourSlot,
+    isComparing,
+    timeOfDay,
+    dayFilter,
+    statusFilter,
+    searchQuery,
+    mapLayer,
+    heatmapWeighting,
+    gridShape,
+    gridCellSize,
+    areaLevel,
+    areaMetric,
+    selectedObservation,
+    filteredData,
+    patternMode,
+    patternData,
+  ]);
+
+  // Remember the lens across sessions
+  useEffect(() => {
+    StorageUtils.write(STORAGE_KEYS.lens, lensFilter);
+  }, [lensFilter]);
+
+  // Keep the viewport in the URL as the map moves
+  useEffect(() => {
+    if (!mapLoaded || !mapInstanceRef.current) return;
+
+    const map = mapInstanceRef.current;
+    const onMoveEnd = () => UrlStateUtils.replaceView(map);
+
+    map.on("moveend", onMoveEnd);
+    return () => map.off("moveend", onMoveEnd);
+  }, [mapLoaded]);
+
+  // Pattern context for the selected observation (memoized, deterministic)
+  const patternContext = useMemo(() => {
+    if (!selectedObservation) return null;
+    return PatternUtils.calculatePatternContext(
+      selectedObservation,
+      filteredData,
+      {
+        range: activeRange,
+        periodDescription,
+        radiusMeters: localRadius,
+        index: spatialIndex,
+      }
+    );
+  }, [
+    selectedObservation,
+    filteredData,
+    activeRange,
+    periodDescription,
+    localRadius,
+    spatialIndex,
+  ]);
+
+  const isViewportFiltered =
+    visibleObservations.length > 0 &&
+    visibleObservations.length !== filteredData.length;
+
+  return (
+    <div
+      style={{
+        width: "100%",
+        height: "100vh",
+        background: THEME.colors.white,
+        fontFamily: "'IBM Plex Mono', 'Courier New', monospace",
+        color: THEME.colors.black,
+        display: "flex",
+        flexDirection: "column",
+        overflow: "hidden",
+      }}
+    >
+      {/* Header */}
+      <header
+        style={{
+          borderBottom: `1px solid ${THEME.colors.black}`,
+          padding: `${THEME.spacing.lg} ${THEME.spacing.xl}`,
+          background: THEME.colors.white,
+        }}
+      >
+        <div
+          style={{
+            display: "flex",
+            justifyContent: "space-between",
+            alignItems: "center",
+            maxWidth: "100%",
+          }}
+        >
+          <div>
+            <h1
+              style={{
+                fontSize: THEME.typography.sizes.base,
+                fontWeight: THEME.typography.weights.semibold,
+                letterSpacing: "0.02em",
+                margin: `0 0 ${THEME.spacing.xs} 0`,
+                textTransform: "uppercase",
+              }}
+            >
+              Road Commons Observatory
+            </h1>
+            <p
+              style={{
+                fontSize: THEME.typography.sizes.small,
+                margin: 0,
+                color: THEME.colors.gray.medium,
+                fontWeight: THEME.typography.weights.normal,
+                maxWidth: "600px",
+              }}
+            >
+              A public observatory for aggregated road behavior and
+              infrastructure signals · {activeCity.name}
+            </p>
+          </div>
+
+          <div
+            style={{
+              display: "flex",
+              gap: THEME.spacing.xxl,
+              fontSize: THEME.typography.sizes.small,
+              fontWeight: THEME.typography.weights.medium,
+              alignItems: "center",
+            }}
+          >
+            {ConfigService.getCityIds().length > 1 && (
+              <label>
+                <span style={{ color: THEME.colors.gray.medium }}>CITY:</span>
+                <select
+                  value={cityId}
+                  onChange={(e) => handleCityChange(e.target.value)}
+                  aria-label="Select city"
+                  style={{
+                    marginLeft: THEME.spacing.sm,
+                    padding: `${THEME.spacing.xs} ${THEME.spacing.sm}`,
+                    border: `1px solid ${THEME.colors.black}`,
+                    borderRadius: 0,
+                    background: THEME.colors.white,
+                    color: THEME.colors.black,
+                    fontSize: THEME.typography.sizes.small,
+                    fontWeight: THEME.typography.weights.medium,
+                    fontFamily: "inherit",
+                    cursor: "pointer",
+                  }}
+                >
+                  {ConfigService.getCityIds().map((id) => (
+                    <option key={id} value={id}>
+                      {ConfigService.getCity(id).name}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            )}
+            <div>
+              <span style={{ color: THEME.colors.gray.medium }}>
+                OBSERVATIONS{isViewportFiltered ? " (IN VIEW)" : ""}:
+              </span>
+              <span style={{ marginLeft: THEME.spacing.sm }}>
+                {stats.total}
+              </span>
+              {previousStats && (
+                <ChangeNote>
+                  {ContentUtils.formatCountChange(
+                    stats.total,
+                    previousStats.total
+                  )}
+                </ChangeNote>
+              )}
+            </div>
+            <div>
+              <span style={{ color: THEME.colors.gray.medium }}>REVIEWED:</span>
+              <span style={{ marginLeft: THEME.spacing.sm }}>
+                {stats.reviewRate}%
+              </span>
+              {previousStats?.total > 0 && stats.total > 0 && (
+                <ChangeNote>
+                  {ContentUtils.formatChange(
+                    Number(stats.reviewRate),
+                    Number(previousStats.reviewRate),
+                    { decimals: 1, unit: " pts" }
+                  )}
+                </ChangeNote>
+              )}
+            </div>
+            <div>
+              <span style={{ color: THEME.colors.gray.medium }}>
+                AVG RESPONSE:
+              </span>
+              <span style={{ marginLeft: THEME.spacing.sm }}>
+                {stats.avgResponseTime}d
+              </span>
+              {previousStats?.avgResponseTime > 0 &&
+                stats.avgResponseTime > 0 && (
+                  <ChangeNote>
+                    {ContentUtils.formatChange(
+                      stats.avgResponseTime,
+                      previousStats.avgResponseTime,
+                      { unit: "d" }
+                    )}
+                  </ChangeNote>
+                )}
+            </div>
+          </div>
+        </div>
+      </header>
+
+      <div
+        style={{
+          flex: 1,
+          display: "flex",
+          position: "relative",
+          overflow: "hidden",
+        }}
+      >
+        <div
+          style={{
+            flex: 1,
+            display: "flex",
+            flexDirection: "column",
+            minWidth: 0,
+          }}
+        >
+          {/* Map Surface */}
+          <div
+            style={{
+              flex: 1,
+              minHeight: 0,
+              position: "relative",
+              background: THEME.colors.gray.background,
+            }}
+          >
+            {/* Controls Overlay */}
+            <div
+              style={{
+                position: "absolute",
+                top: THEME.spacing.lg,
+                left: THEME.spacing.lg,
+                zIndex: 1000,
+                background: THEME.colors.white,
+                border: `1px solid ${THEME.colors.black}`,
+                padding: THEME.spacing.md,
+                maxHeight: `calc(100% - 5rem)`,
+                overflowY: "auto",
+              }}
+            >
+              <SearchBox
+                query={searchQuery}
+                resultCount={
+                  searchTokens.length > 0 ? filteredData.length : null
+                }
+                onChange={handleSearchChange}
+              />
+
+              <LensFilter selectedTypes={lensFilter} onChange={setLensFilter} />
+
+              <StatusFilter
+                selectedStatuses={statusFilter}
+                onChange={setStatusFilter}
+              />
+
+              <div
+                style={{
+                  borderTop: `1px solid ${THEME.colors.gray.lightest}`,
+                  paddingTop: THEME.spacing.md,
+                }}
+              >
+                <div
+                  style={{
+                    fontSize: THEME.typography.sizes.tiny,
+                    fontWeight: THEME.typography.weights.semibold,
+                    letterSpacing: "0.1em",
+                    marginBottom: THEME.spacing.sm,
+                    color: THEME.colors.black,
+                  }}
+                >
+                  PERIOD
+                </div>
+                <div
+                  style={{
+                    display: "flex",
+                    gap: THEME.spacing.sm,
+                    fontSize: THEME.typography.sizes.xsmall,
+                  }}
+                >
+                  {[
+                    ...Object.entries(TIME_WINDOWS),
+                    [CUSTOM_PERIOD, { label: "Custom" }],
+                  ].map(([value, config]) => (
+                    <button
+                      key={value}
+                      onClick={() =>
+                        value === CUSTOM_PERIOD
+                          ? handleCustomPeriod()
+                          : setTimeFilter(value)
+                      }
+                      aria-label={`Filter by ${config.label}`}
+                      aria-pressed={timeFilter === value}
+                      style={{
+                        padding: `${THEME.spacing.xs} ${THEME.spacing.sm}`,
+                        border: `1px solid ${THEME.colors.black}`,
+                        background:
+                          timeFilter === value
+                            ? THEME.colors.black
+                            : THEME.colors.white,
+                        color:
+                          timeFilter === value
+                            ? THEME.colors.white
+                            : THEME.colors.black,
+                        cursor: "pointer",
+                        fontSize: THEME.typography.sizes.xsmall,
+                        fontWeight: THEME.typography.weights.medium,
+                        fontFamily: "inherit",
+                      }}
+                    >
+                      {config.label}
+                    </button>
+                  ))}
+                </div>
+
+                {timeFilter === CUSTOM_PERIOD && customRange && (
+                  <DateRangePicker
+                    range={customRange}
+                    onChange={setCustomRange}
+                  />
+                )}
+
+                <PeriodComparisonToggle
+                  isComparing={isComparing}
+                  comparisonRange={comparisonRange}
+                  onToggle={() => {
+                    // Change shading means nothing without a comparison
+                    if (
+                      isComparing &&
+                      AREA_METRICS[areaMetric]?.requiresComparison
+                    ) {
+                      setAreaMetric(null);
+                    }
+                    setIsComparing(!isComparing);
+                  }}
+                />
+              </div>
+
+              <TimeOfDayFilter
+                selectedBuckets={timeOfDay}
+                dayFilter={dayFilter}
+                onToggleBucket={(bucketId) =>
+                  setTimeOfDay((prev) =>
+                    prev.includes(bucketId)
+                      ? prev.filter((id) => id !== bucketId)
+                      : TIME_OF_DAY_BUCKETS.map((bucket) => bucket.id).filter(
+                          (id) => id === bucketId || prev.includes(id)
+                        )
+                  )
+                }
+                onClearBuckets={() => setTimeOfDay([])}
+                onDayFilterChange={setDayFilter}
+              />
+
+              <MapLayerControl
+                layer={mapLayer}
+                weighting={heatmapWeighting}
+                gridShape={gridShape}
+                gridCellSize={gridCellSize}
+                onLayerChange={(layer) => {
+                  setMapLayer(layer);
+                  setSelectedCellId(null);
+                }}
+                onWeightingChange={setHeatmapWeighting}
+                onGridShapeChange={(shape) => {
+                  setGridShape(shape);
+                  setSelectedCellId(null);
+                }}
+                onGridCellSizeChange={(size) => {
+                  setGridCellSize(size);
+                  setSelectedCellId(null);
+                }}
+              />
+
+              <AreaControl
+                levels={[
+                  ...Object.keys(activeCity.boundaries).map((level) => ({
+                    value: level,
+                    label: BOUNDARY_LEVELS[level].label,
+                  })),
+                  ...(uploadedBoundaries
+                    ? [
+                        {
+                          value: UPLOADED_BOUNDARIES,
+                          label: uploadedBoundaries.name,
+                        },
+                      ]
+                    : []),
+                ]}
+                selectedLevel={areaLevel}
+                metric={areaMetric}
+                isComparing={isComparing}
+                boundaryState={boundaryState}
+                uploadError={uploadError}
+                onChange={setAreaLevel}
+                onMetricChange={setAreaMetric}
+                onUpload={handleBoundaryUpload}
+              />
+
+              <RegionDrawControl
+                drawShape={drawShape}
+                hasRegion={patternMode === PATTERN_MODE.REGION}
+                onDrawShapeChange={setDrawShape}
+                onClear={handleClearPatternMode}
+              />
+
+              <HotspotControl
+                isActive={patternMode === PATTERN_MODE.HOTSPOTS}
+                onFind={() => enterHotspotMode()}
+                onClear={handleClearPatternMode}
+              />
+            </div>
+
+            {/* Legends */}
+            <div
+              style={{
+                position: "absolute",
+                bottom: THEME.spacing.xxl,
+                right: THEME.spacing.lg,
+                zIndex: 1000,
+                display: "flex",
+                flexDirection: "column",
+                gap: THEME.spacing.sm,
+              }}
+            >
+              {areaMetric && areaStats?.extent && (
+                <ChoroplethLegend
+                  metric={areaMetric}
+                  extent={areaStats.extent}
+                  areaLabel={areaLevelLabel}
+                />
+              )}
+              {mapLayer === MAP_LAYERS.HEATMAP && (
+                <HeatmapLegend weighting={heatmapWeighting} />
+              )}
+              {mapLayer === MAP_LAYERS.GRID && (
+                <GridLegend
+                  shape={gridShape}
+                  cellSize={gridCellSize}
+                  maxCount={Math.max(
+                    0,
+                    ...gridCells.map((cell) => cell.observations.length)
+                  )}
+                />
+              )}
+            </div>
+
+            {/* Zoom Level Indicator */}
+            <div
+              style={{
+                position: "absolute",
+                bottom: THEME.spacing.lg,
+                left: THEME.spacing.lg,
+                zIndex: 1000,
+                background: THEME.colors.white,
+                border: `1px solid ${THEME.colors.black}`,
+                padding: `${THEME.spacing.sm} ${THEME.spacing.md}`,
+                fontSize: THEME.typography.sizes.xsmall,
+                fontWeight: THEME.typography.weights.medium,
+              }}
+            >
+              {centerArea
+                ? `${areaLevelLabel.toUpperCase()} · ${centerArea.name}`
+                : zoomLevel <= 10
+                ? "DISTRICT"
+                : zoomLevel <= 14
+                ? "WARD"
+                : "STREET"}
+            </div>
+
+            {/* Map Container */}
+            <div
+              ref={mapRef}
+              style={{
+                width: "100%",
+                height: "100%",
+                filter: "grayscale(100%) contrast(1.1)",
+              }}
+            />
+
+            {!mapLoaded && (
+              <div
+                style={{
+                  position: "absolute",
+                  top: "50%",
+                  left: "50%",
+                  transform: "translate(-50%, -50%)",
+                  fontSize: THEME.typography.sizes.base,
+                  color: THEME.colors.gray.medium,
+                }}
+              >
+                Loading map...
+              </div>
+            )}
+
+            {mapLoaded && (
+              <DataStateOverlay
+                status={dataState.status}
+                error={dataState.error}
+                totalCount={observations.length}
+                filteredCount={filteredData.length}
+                onRetry={() => setReloadToken((token) => token + 1)}
+              />
+            )}
+          </div>
+
+          <TimeSeriesPanel
+            series={timeSeries}
+            brush={activeBrush}
+            frame={playbackFrame}
+            onIntervalChange={setSeriesInterval}
+            onBrush={setBrushRange}
+            onHover={setHoveredBar}
+          >
+            <PlaybackControls
+              playback={playback}
+              frame={playbackFrame}
+              isAvailable={timelineStart !== null}
+              onStart={() =>
+                setPlayback({
+                  start: timelineStart,
+                  windowDays: PLAYBACK_WINDOWS[0],
+                  speed: 1,
+                  isPlaying: true,
+                })
+              }
+              onSeek={seekPlayback}
+              onStop={() => setPlayback(null)}
+            />
+          </TimeSeriesPanel>
+        </div>
+
+        {/* Sidebar */}
+        {sidebarOpen && (
+          <div
+            style={{
+              width: "340px",
+              borderLeft: `1px solid ${THEME.colors.black}`,
+              background: THEME.colors.white,
+              display: "flex",
+              flexDirection: "column",
+              overflow: "hidden",
+            }}
+          >
+            <div
+              ref={sidebarContentRef}
+              style={{
+                flex: 1,
+                overflow: "auto",
+                padding: THEME.spacing.xl,
+              }}
+            >
+              {selectedObservation ? (
+                <ObservationDetail
+                  observation={selectedObservation}
+                  searchTokens={searchTokens}
+                  patternContext={patternContext}
+                  trendLabel={
+                    timeFilter === CUSTOM_PERIOD
+                      ? "Period trend"
+                      : Number.isFinite(TIME_WINDOWS[timeFilter].ms)
+                      ? `${TIME_WINDOWS[timeFilter].label} trend`
+                      : "Overall trend"
+                  }
+                  expandedDetail={expandedDetail}
+                  onToggleExpanded={() => setExpandedDetail(!expandedDetail)}
+                  onBack={() => {
+                    setSelectedObservation(null);
+                    setExpandedDetail(false);
+                  }}
+                  onCityWidePattern={handleCityWidePattern}
+                  onLocalPattern={handleLocalPattern}
+                />
+              ) : patternMode !== PATTERN_MODE.NONE && patternData ? (
+                <PatternAnalysisView
+                  mode={patternMode}
+                  data={patternData}
+                  comparison={
+                    patternComparison?.pattern === patternData
+                      ? patternComparison
+                      : null
+                  }
+                  comparisonRange={settledComparison}
+                  hourSlot={hourSlot}
+                  onHourSlotChange={setHourSlot}
+                  typeLabel={ContentUtils.getTypeLabel(patternData.type)}
+                  onRadiusChange={handleLocalRadiusChange}
+                  onHotspotSelect={handleHotspotSelect}
+                  onClear={handleClearPatternMode}
+                />
+              ) : selectedCell ? (
+                <CellStatsView
+                  cell={selectedCell}
+                  shapeLabel={GRID_SHAPES[gridShape].label}
+                  cellSize={gridCellSize}
+                  onBack={() => setSelectedCellId(null)}
+                />
+              ) : (
+                <CurrentViewSummary
+                  stats={stats}
+                  previousStats={previousStats}
+                  punchcard={viewPunchcard}
+                  hourSlot={hourSlot}
+                  onHourSlotChange={setHourSlot}
+                  isViewportFiltered={isViewportFiltered}
+                  lensFilter={lensFilter}
+                  statusFilter={statusFilter}
+                  areaStats={areaStats}
+                  areaLabel={areaLevelLabel}
+                  areaMetric={areaMetric}
+                  onAreaSelect={handleAreaSelect}
+                />
+              )}
+            </div>
+          </div>
+        )}
+
+        {/* Sidebar toggle when closed */}
+        {!sidebarOpen && (
+          <button
+            onClick={() => setSidebarOpen(true)}
+            aria-label="Open data panel"
+            style={{
+              position: "absolute",
+              right: 0,
+              top: "50%",
+              transform: "translateY(-50%)",
+              padding: `${THEME.spacing.xxl} ${THEME.spacing.sm}`,
+              background: THEME.colors.white,
+              border: `1px solid ${THEME.colors.black}`,
+              borderRight: "none",
+              cursor: "pointer",
+              fontSize: THEME.typography.sizes.xsmall,
+              fontWeight: THEME.typography.weights.semibold,
+              writingMode: "vertical-rl",
+              letterSpacing: "0.1em",
+              fontFamily: "inherit",
+              zIndex: 1000,
+            }}
+          >
+            DATA
+          </button>
+        )}
+      </div>
+
+      {/* Footer */}
+      <footer
+        style={{
+          borderTop: `1px solid ${THEME.colors.black}`,
+          padding: `${THEME.spacing.md} ${THEME.spacing.xl}`,
+          fontSize: THEME.typography.sizes.tiny,
+          color: THEME.colors.gray.medium,
+          textAlign: "center",
+          background: THEME.colors.white,
+          fontStyle: "italic",
+        }}
+      >
+        This is an observatory, not a courtroom. Data shown reflects reported
+        observations.
+      </footer>
+
+      <style>{`
+        @import url('https://fonts.googleapis.com/css2?family=IBM+Plex+Mono:wght@400;500;600&family=IBM+Plex+Sans:wght@300;400;600&display=swap');
+        
+        * {
+          box-sizing: border-box;
+        }
+        
+        button:hover {
+          opacity: 0.8;
+        }
+        
+        button:active {
+          opacity: 0.6;
+        }
+        
+        button:focus-visible {
+          outline: 2px solid ${THEME.colors.black};
+          outline-offset: 2px;
+        }
+        
+        .leaflet-control-zoom {
+          border: 1px solid ${THEME.colors.black} !important;
+          border-radius: 0 !important;
+        }
+        
+        .leaflet-control-zoom a {
+          background: ${THEME.colors.white} !important;
+          color: ${THEME.colors.black} !important;
+          border: none !important;
+          border-bottom: 1px solid ${THEME.colors.black} !important;
+          border-radius: 0 !important;
+          font-family: 'IBM Plex Mono', monospace !important;
+          font-weight: 600 !important;
+          width: 30px !important;
+          height: 30px !important;
+          line-height: 30px !important;
+        }
+        
+        .leaflet-control-zoom a:last-child {
+          border-bottom: none !important;
+        }
+        
+        .leaflet-control-zoom a:hover {
+          background: ${THEME.colors.gray.background} !important;
+        }
+        
+        .leaflet-bar {
+          box-shadow: none !important;
+        }
+        
+        .custom-cluster-icon {
+          background: transparent !important;
+        }
+        
+        .marker-cluster {
+          background: transparent !important;
+        }
+        
+        .leaflet-popup-content-wrapper {
+          background: ${THEME.colors.white};
+          border: 1px solid ${THEME.colors.black};
+          border-radius: 0;
+          box-shadow: none;
+          padding: 8px;
+        }
+        
+        .leaflet-popup-tip {
+          background: ${THEME.colors.white};
+          border: 1px solid ${THEME.colors.black};
+          box-shadow: none;
+        }
+        
+        .leaflet-popup-close-button {
+          color: ${THEME.colors.black} !important;
+          font-size: 18px !important;
+          font-weight: bold !important;
+        }
+      `}</style>
+    </div>
+  );
+};
+
+// ============================================================================
+// SUBCOMPONENTS
+// ============================================================================
+
+// Toggle button in the map controls; compact in the bottom panels
+const getOptionStyle = (isActive, { compact = false } = {}) => ({
+  padding: compact
+    ? `0 ${THEME.spacing.xs}`
+    : `${THEME.spacing.xs} ${THEME.spacing.sm}`,
+  border: `1px solid ${
+    isActive ? THEME.colors.black : THEME.colors.gray.lighter
+  }`,
+  background: isActive ? THEME.colors.black : THEME.colors.white,
+  color: isActive ? THEME.colors.white : THEME.colors.black,
+  cursor: "pointer",
+  fontSize: THEME.typography.sizes.tiny,
+  ...(compact ? {} : { fontWeight: THEME.typography.weights.medium }),
+  fontFamily: "inherit",
+});
+
+const SearchBox = ({ query, resultCount, onChange }) => (
+  <div style={{ marginBottom: THEME.spacing.md }}>
+    <label
+      htmlFor="observation-search"
+      style={{
+        display: "block",
+        fontSize: THEME.typography.sizes.tiny,
+        fontWeight: THEME.typography.weights.semibold,
+        letterSpacing: "0.1em",
+        marginBottom: THEME.spacing.sm,
+        color: THEME.colors.black,
+      }}
+    >
+      SEARCH
+    </label>
+    <div style={{ display: "flex", gap: THEME.spacing.xs }}>
+      <input
+        id="observation-search"
+        type="search"
+        value={query}
+        onChange={(e) => onChange(e.target.value)}
+        placeholder="Description or ID"
+        style={{
+          flex: 1,
+          minWidth: 0,
+          padding: `${THEME.spacing.xs} ${THEME.spacing.sm}`,
+          border: `1px solid ${THEME.colors.black}`,
+          fontSize: THEME.typography.sizes.xsmall,
+          fontFamily: "inherit",
+        }}
+      />
+      {query && (
+        <button
+          onClick={() => onChange("")}
+          aria-label="Clear search"
+          style={{
+            padding: `0 ${THEME.spacing.sm}`,
+            border: `1px solid ${THEME.colors.black}`,
+            background: THEME.colors.white,
+            cursor: "pointer",
+            fontSize: THEME.typography.sizes.xsmall,
+            fontFamily: "inherit",
+          }}
+        >
+          ×
+        </button>
+      )}
+    </div>
+    {resultCount !== null && (
+      <div
+        style={{
+          marginTop: THEME.spacing.xs,
+          fontSize: THEME.typography.sizes.tiny,
+          color: THEME.colors.gray.medium,
+        }}
+      >
+        {resultCount} {resultCount === 1 ? "match" : "matches"}
+      </div>
+    )}
+  </div>
+);
+
+// Any subset of observation types; "All" clears the selection
+const LensFilter = ({ selectedTypes, onChange }) => {
+  const toggleType = (type) =>
+    onChange(
+      // Keep config order so URLs and labels are stable
+      Object.keys(OBSERVATION_TYPES).filter((key) =>
+        key === type
+          ? !selectedTypes.includes(key)
+          : selectedTypes.includes(key)
+      )
+    );
+
+  return (
+    <div style={{ marginBottom: THEME.spacing.md }}>
+      <div
+        style={{
+          fontSize: THEME.typography.sizes.tiny,
+          fontWeight: THEME.typography.weights.semibold,
+          letterSpacing: "0.1em",
+          marginBottom: THEME.spacing.sm,
+          color: THEME.colors.black,
+        }}
+      >
+        LENS
+      </div>
+      <div
+        style={{
+          display: "flex",
+          flexDirection: "column",
+          gap: THEME.spacing.xs,
+        }}
+      >
+        {[
+          { value: null, label: "All", Icon: null },
+          ...Object.entries(OBSERVATION_TYPES).map(([type, config]) => ({
+            value: type,
+            label: config.label,
+            Icon: ContentUtils.getTypeIcon(type),
+          })),
+        ].map((option) => {
+          const isActive =
+            option.value === null
+              ? selectedTypes.length === 0
+              : selectedTypes.includes(option.value);
+
+          return (
+            <button
+              key={option.value || "all"}
+              onClick={() =>
+                option.value === null ? onChange([]) : toggleType(option.value)
+              }
+              aria-label={
+                option.value === null
+                  ? "Show every type"
+                  : `Include ${option.label}`
+              }
+              aria-pressed={isActive}
+              style={{
+                padding: `${THEME.spacing.sm} ${THEME.spacing.md}`,
+                border: "none",
+                borderLeft: `3px solid ${
+                  isActive ? THEME.colors.black : "transparent"
+                }`,
+                background: isActive
+                  ? THEME.colors.gray.background
+                  : "transparent",
+                cursor: "pointer",
+                fontSize: THEME.typography.sizes.xsmall,
+                textAlign: "left",
+                fontWeight: isActive
+                  ? THEME.typography.weights.semibold
+                  : THEME.typography.weights.normal,
+                color: THEME.colors.black,
+                fontFamily: "inherit",
+                transition: "all 0.15s ease",
+                display: "flex",
+                alignItems: "center",
+                gap: THEME.spacing.sm,
+              }}
+            >
+              {option.Icon && <option.Icon size={12} aria-hidden="true" />}
+              {option.label}
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+const StatusFilter = ({ selectedStatuses, onChange }) => {
+  const isUnresolvedOnly =
+    selectedStatuses.length === UNRESOLVED_STATUSES.length &&
+    UNRESOLVED_STATUSES.every((status) => selectedStatuses.includes(status));
+
+  const toggleStatus = (status) =>
+    onChange(
+      // Keep process order so URLs and labels are stable
+      Object.keys(OBSERVATION_STATUSES).filter((key) =>
+        key === status
+          ? !selectedStatuses.includes(key)
+          : selectedStatuses.includes(key)
+      )
+    );
+
+  return (
+    <div
+      style={{
+        borderTop: `1px solid ${THEME.colors.gray.lightest}`,
+        paddingTop: THEME.spacing.md,
+        marginBottom: THEME.spacing.md,
+      }}
+    >
+      <div
+        style={{
+          fontSize: THEME.typography.sizes.tiny,
+          fontWeight: THEME.typography.weights.semibold,
+          letterSpacing: "0.1em",
+          marginBottom: THEME.spacing.sm,
+          color: THEME.colors.black,
+        }}
+      >
+        STATUS
+      </div>
+      <div
+        style={{
+          display: "flex",
+          gap: THEME.spacing.xs,
+          marginBottom: THEME.spacing.sm,
+        }}
+      >
+        <button
+          onClick={() => onChange([])}
+          aria-label="Show every status"
+          aria-pressed={selectedStatuses.length === 0}
+          style={getOptionStyle(selectedStatuses.length === 0)}
+        >
+          Any
+        </button>
+        <button
+          onClick={() => onChange(UNRESOLVED_STATUSES)}
+          aria-label="Show unresolved statuses only"
+          aria-pressed={isUnresolvedOnly}
+          style={getOptionStyle(isUnresolvedOnly)}
+        >
+          Unresolved
+        </button>
+      </div>
+      <div
+        style={{
+          display: "flex",
+          flexDirection: "column",
+          gap: THEME.spacing.xs,
+        }}
+      >
+        {Object.entries(OBSERVATION_STATUSES).map(([status, config]) => (
+          <label
+            key={status}
+            style={{
+              display: "flex",
+              alignItems: "center",
+              gap: THEME.spacing.sm,
+              fontSize: THEME.typography.sizes.xsmall,
+              cursor: "pointer",
+              color: THEME.colors.black,
+            }}
+          >
+            <input
+              type="checkbox"
+              checked={selectedStatuses.includes(status)}
+              onChange={() => toggleStatus(status)}
+              style={{ margin: 0, accentColor: THEME.colors.black }}
+            />
+            {config.label}
+          </label>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+const TimeOfDayFilter = ({
+  selectedBuckets,
+  dayFilter,
+  onToggleBucket,
+  onClearBuckets,
+  onDayFilterChange,
+}) => (
+  <div
+    style={{
+      borderTop: `1px solid ${THEME.colors.gray.lightest}`,
+      paddingTop: THEME.spacing.md,
+      marginTop: THEME.spacing.md,
+    }}
+  >
+    <div
+      style={{
+        fontSize: THEME.typography.sizes.tiny,
+        fontWeight: THEME.typography.weights.semibold,
+        letterSpacing: "0.1em",
+        marginBottom: THEME.spacing.sm,
+        color: THEME.colors.black,
+      }}
+    >
+      TIME OF DAY
+    </div>
+    <div
+      style={{
+        display: "flex",
+        flexWrap: "wrap",
+        gap: THEME.spacing.xs,
+        maxWidth: "220px",
+      }}
+    >
+      <button
+        onClick={onClearBuckets}
+        aria-label="Any time of day"
+        aria-pressed={selectedBuckets.length === 0}
+        style={getOptionStyle(selectedBuckets.length === 0)}
+      >
+        Any
+      </button>
+      {TIME_OF_DAY_BUCKETS.map((bucket) => (
+        <button
+          key={bucket.id}
+          onClick={() => onToggleBucket(bucket.id)}
+          aria-label={`Filter by ${bucket.label}`}
+          aria-pressed={selectedBuckets.includes(bucket.id)}
+          style={getOptionStyle(selectedBuckets.includes(bucket.id))}
+        >
+          {bucket.label}
+        </button>
+      ))}
+    </div>
+
+    <div
+      style={{
+        display: "flex",
+        gap: THEME.spacing.xs,
+        marginTop: THEME.spacing.sm,
+      }}
+    >
+      {[
+        { value: DAY_FILTERS.ALL, label: "All days" },
+        { value: DAY_FILTERS.WEEKDAYS, label: "Weekdays" },
+        { value: DAY_FILTERS.WEEKENDS, label: "Weekends" },
+      ].map((option) => (
+        <button
+          key={option.value}
+          onClick={() => onDayFilterChange(option.value)}
+          aria-label={`Filter by ${option.label}`}
+          aria-pressed={dayFilter === option.value}
+          style={getOptionStyle(dayFilter === option.value)}
+        >
+          {option.label}
+        </button>
+      ))}
+    </div>
+  </div>
+);
+
+const MapLayerControl = ({
+  layer,
+  weighting,
+  gridShape,
+  gridCellSize,
+  onLayerChange,
+  onWeightingChange,
+  onGridShapeChange,
+  onGridCellSizeChange,
+}) => (
+  <div
+    style={{
+      borderTop: `1px solid ${THEME.colors.gray.lightest}`,
+      paddingTop: THEME.spacing.md,
+      marginTop: THEME.spacing.md,
+    }}
+  >
+    <div
+      style={{
+        fontSize: THEME.typography.sizes.tiny,
+        fontWeight: THEME.typography.weights.semibold,
+        letterSpacing: "0.1em",
+        marginBottom: THEME.spacing.sm,
+        color: THEME.colors.black,
+      }}
+    >
+      MAP LAYER
+    </div>
+    <div style={{ display: "flex", gap: THEME.spacing.xs }}>
+      {[
+        { value: MAP_LAYERS.MARKERS, label: "Markers" },
+        { value: MAP_LAYERS.HEATMAP, label: "Density" },
+        { value: MAP_LAYERS.GRID, label: "Grid" },
+      ].map((option) => (
+        <button
+          key={option.value}
+          onClick={() => onLayerChange(option.value)}
+          aria-label={`Show ${option.label.toLowerCase()} layer`}
+          aria-pressed={layer === option.value}
+          style={getOptionStyle(layer === option.value)}
+        >
+          {option.label}
+        </button>
+      ))}
+    </div>
+
+    {layer === MAP_LAYERS.HEATMAP && (
+      <div
+        style={{
+          display: "flex",
+          flexWrap: "wrap",
+          gap: THEME.spacing.xs,
+          marginTop: THEME.spacing.sm,
+          maxWidth: "220px",
+        }}
+      >
+        {Object.entries(HEATMAP_WEIGHTINGS).map(([key, option]) => (
+          <button
+            key={key}
+            onClick={() => onWeightingChange(key)}
+            aria-label={`Weight density by ${option.label}`}
+            aria-pressed={weighting === key}
+            style={getOptionStyle(weighting === key)}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+    )}
+
+    {layer === MAP_LAYERS.GRID && (
+      <>
+        <div
+          style={{
+            display: "flex",
+            gap: THEME.spacing.xs,
+            marginTop: THEME.spacing.sm,
+          }}
+        >
+          {Object.entries(GRID_SHAPES).map(([key, option]) => (
+            <button
+              key={key}
+              onClick={() => onGridShapeChange(key)}
+              aria-label={`${option.label} cells`}
+              aria-pressed={gridShape === key}
+              style={getOptionStyle(gridShape === key)}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+        <div
+          style={{
+            display: "flex",
+            flexWrap: "wrap",
+            gap: THEME.spacing.xs,
+            marginTop: THEME.spacing.sm,
+            maxWidth: "220px",
+          }}
+        >
+          {MapUtils.getGridCellSizes().map((size) => (
+            <button
+              key={size}
+              onClick={() => onGridCellSizeChange(size)}
+              aria-label={`Cells ${size} meters wide`}
+              aria-pressed={gridCellSize === size}
+              style={getOptionStyle(gridCellSize === size)}
+            >
+              {size >= 1000 ? `${size / 1000}km` : `${size}m`}
+            </button>
+          ))}
+        </div>
+      </>
+    )}
+  </div>
+);
+
+// Shading ramp with end labels, shared by the map layer legends
+const RampLegend = ({ title, lowLabel, highLabel, note }) => (
+  <div
+    style={{
+      width: "180px",
+      background: THEME.colors.white,
+      border: `1px solid ${THEME.colors.black}`,
+      padding: `${THEME.spacing.sm} ${THEME.spacing.md}`,
+      fontSize: THEME.typography.sizes.tiny,
+    }}
+  >
+    <div
+      style={{
+        fontWeight: THEME.typography.weights.semibold,
+        letterSpacing: "0.1em",
+        marginBottom: THEME.spacing.sm,
+      }}
+    >
+      {title}
+    </div>
+    <div
+      style={{
+        height: "8px",
+        border: `1px solid ${THEME.colors.gray.lighter}`,
+        background: DensityUtils.getRampGradient(),
+      }}
+    />
+    <div
+      style={{
+        display: "flex",
+        justifyContent: "space-between",
+        marginTop: THEME.spacing.xs,
+        color: THEME.colors.gray.medium,
+      }}
+    >
+      <span>{lowLabel}</span>
+      <span>{highLabel}</span>
+    </div>
+    {note && (
+      <div
+        style={{ marginTop: THEME.spacing.xs, color: THEME.colors.gray.medium }}
+      >
+        {note}
+      </div>
+    )}
+  </div>
+);
+
+// Ramp and weighting of the density layer
+const HeatmapLegend = ({ weighting }) => (
+  <RampLegend
+    title={`DENSITY · ${HEATMAP_WEIGHTINGS[weighting].label.toUpperCase()}`}
+    lowLabel="Low"
+    highLabel="Peak in view"
+    note={`Kernel bandwidth ${MAP_CONFIG.heatmapBandwidth}m${
+      weighting === "status"
+        ? ` · resolved count ${HEATMAP_WEIGHTINGS.status.resolvedWeight}×`
+        : ""
+    }`}
+  />
+);
+
+// Ramp and cell size of the aggregation layer
+const GridLegend = ({ shape, cellSize, maxCount }) => (
+  <RampLegend
+    title="OBSERVATIONS PER CELL"
+    lowLabel="1"
+    highLabel={maxCount}
+    note={`${GRID_SHAPES[shape].label} cells, ${cellSize}m across`}
+  />
+);
+
+// Best-to-worst ramp of the area choropleth
+const ChoroplethLegend = ({ metric, extent, areaLabel }) => {
+  const { label, format, higherIsWorse } = AREA_METRICS[metric];
+  const [best, worst] = higherIsWorse
+    ? [extent.min, extent.max]
+    : [extent.max, extent.min];
+
+  return (
+    <RampLegend
+      title={`${label.toUpperCase()} BY ${areaLabel.toUpperCase()}`}
+      lowLabel={format(best)}
+      highLabel={format(worst)}
+      note="Darker is worse; unshaded areas have no data."
+    />
+  );
+};
+
+// Boundary level picker plus a local GeoJSON file as an extra level
+const AreaControl = ({
+  levels,
+  selectedLevel,
+  metric,
+  isComparing,
+  boundaryState,
+  uploadError,
+  onChange,
+  onMetricChange,
+  onUpload,
+}) => {
+  let status = null;
+  if (uploadError) status = uploadError;
+  else if (selectedLevel && boundaryState.status === DATA_STATUS.LOADING) {
+    status = "Loading boundaries...";
+  } else if (selectedLevel && boundaryState.status === DATA_STATUS.ERROR) {
+    status = boundaryState.error;
+  } else if (selectedLevel) {
+    status = `${boundaryState.areas.length} areas`;
+  }
 
   return (
     <div
       style={{
-        width: "100%",
-        height: "100vh",
-        background: THEME.colors.white,
-        fontFamily: "'IBM Plex Mono', 'Courier New', monospace",
+        borderTop: `1px solid ${THEME.colors.gray.lightest}`,
+        paddingTop: THEME.spacing.md,
+        marginTop: THEME.spacing.md,
+      }}
+    >
+      <div
+        style={{
+          fontSize: THEME.typography.sizes.tiny,
+          fontWeight: THEME.typography.weights.semibold,
+          letterSpacing: "0.1em",
+          marginBottom: THEME.spacing.sm,
+          color: THEME.colors.black,
+        }}
+      >
+        AREAS
+      </div>
+      <div
+        style={{
+          display: "flex",
+          flexWrap: "wrap",
+          gap: THEME.spacing.xs,
+          maxWidth: "220px",
+        }}
+      >
+        {[{ value: null, label: "Off" }, ...levels].map((option) => (
+          <button
+            key={option.value || "off"}
+            onClick={() => onChange(option.value)}
+            aria-label={
+              option.value ? `Show ${option.label} boundaries` : "Hide areas"
+            }
+            aria-pressed={selectedLevel === option.value}
+            style={getOptionStyle(selectedLevel === option.value)}
+          >
+            {option.label}
+          </button>
+        ))}
+        <label style={getOptionStyle(false)}>
+          Load GeoJSON…
+          <input
+            type="file"
+            accept=".json,.geojson,application/geo+json,application/json"
+            aria-label="Load boundary GeoJSON file"
+            onChange={(e) => {
+              const file = e.target.files?.[0];
+              if (file) onUpload(file);
+              e.target.value = "";
+            }}
+            style={{ display: "none" }}
+          />
+        </label>
+      </div>
+      {selectedLevel && (
+        <div
+          style={{
+            display: "flex",
+            flexWrap: "wrap",
+            gap: THEME.spacing.xs,
+            marginTop: THEME.spacing.sm,
+            maxWidth: "220px",
+          }}
+        >
+          {[
+            { value: null, label: "Outline" },
+            ...Object.entries(AREA_METRICS).map(([key, option]) => ({
+              value: key,
+              label: option.label,
+              isDisabled: option.requiresComparison && !isComparing,
+            })),
+          ].map((option) => (
+            <button
+              key={option.value || "outline"}
+              onClick={() => onMetricChange(option.value)}
+              disabled={option.isDisabled}
+              title={
+                option.isDisabled ? "Turn on Compare under PERIOD" : undefined
+              }
+              aria-label={
+                option.value ? `Shade areas by ${option.label}` : "No shading"
+              }
+              aria-pressed={metric === option.value}
+              style={{
+                ...getOptionStyle(metric === option.value),
+                ...(option.isDisabled && {
+                  color: THEME.colors.gray.light,
+                  cursor: "default",
+                }),
+              }}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      )}
+      {status && (
+        <div
+          style={{
+            marginTop: THEME.spacing.xs,
+            fontSize: THEME.typography.sizes.tiny,
+            color: THEME.colors.gray.medium,
+            maxWidth: "220px",
+          }}
+        >
+          {status}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const RegionDrawControl = ({
+  drawShape,
+  hasRegion,
+  onDrawShapeChange,
+  onClear,
+}) => (
+  <div
+    style={{
+      borderTop: `1px solid ${THEME.colors.gray.lightest}`,
+      paddingTop: THEME.spacing.md,
+      marginTop: THEME.spacing.md,
+    }}
+  >
+    <div
+      style={{
+        fontSize: THEME.typography.sizes.tiny,
+        fontWeight: THEME.typography.weights.semibold,
+        letterSpacing: "0.1em",
+        marginBottom: THEME.spacing.sm,
         color: THEME.colors.black,
+      }}
+    >
+      DRAW REGION
+    </div>
+    <div
+      style={{
         display: "flex",
-        flexDirection: "column",
-        overflow: "hidden",
+        flexWrap: "wrap",
+        gap: THEME.spacing.xs,
+        maxWidth: "220px",
       }}
     >
-      {/* Header */}
-      <header
+      {Object.entries(REGION_SHAPES).map(([key, option]) => (
+        <button
+          key={key}
+          onClick={() => onDrawShapeChange(drawShape === key ? null : key)}
+          aria-label={`Draw a ${option.label.toLowerCase()} region`}
+          aria-pressed={drawShape === key}
+          style={getOptionStyle(drawShape === key)}
+        >
+          {option.label}
+        </button>
+      ))}
+      {drawShape ? (
+        <button
+          onClick={() => onDrawShapeChange(null)}
+          aria-label="Cancel drawing"
+          style={getOptionStyle(false)}
+        >
+          Cancel
+        </button>
+      ) : (
+        hasRegion && (
+          <button
+            onClick={onClear}
+            aria-label="Clear drawn region"
+            style={getOptionStyle(false)}
+          >
+            Clear
+          </button>
+        )
+      )}
+    </div>
+    {drawShape && (
+      <div
         style={{
-          borderBottom: `1px solid ${THEME.colors.black}`,
-          padding: `${THEME.spacing.lg} ${THEME.spacing.xl}`,
-          background: THEME.colors.white,
+          marginTop: THEME.spacing.xs,
+          fontSize: THEME.typography.sizes.tiny,
+          color: THEME.colors.gray.medium,
+          maxWidth: "220px",
         }}
       >
-        <div
-          style={{
-            display: "flex",
-            justifyContent: "space-between",
-            alignItems: "center",
-            maxWidth: "100%",
-          }}
+        {REGION_SHAPES[drawShape].hint} Esc cancels.
+      </div>
+    )}
+  </div>
+);
+
+const HotspotControl = ({ isActive, onFind, onClear }) => (
+  <div
+    style={{
+      borderTop: `1px solid ${THEME.colors.gray.lightest}`,
+      paddingTop: THEME.spacing.md,
+      marginTop: THEME.spacing.md,
+    }}
+  >
+    <div
+      style={{
+        fontSize: THEME.typography.sizes.tiny,
+        fontWeight: THEME.typography.weights.semibold,
+        letterSpacing: "0.1em",
+        marginBottom: THEME.spacing.sm,
+        color: THEME.colors.black,
+      }}
+    >
+      HOTSPOTS
+    </div>
+    <div style={{ display: "flex", gap: THEME.spacing.xs }}>
+      <button
+        onClick={onFind}
+        aria-label="Find significant hotspots in the filtered observations"
+        aria-pressed={isActive}
+        style={getOptionStyle(isActive)}
+      >
+        Find hotspots
+      </button>
+      {isActive && (
+        <button
+          onClick={onClear}
+          aria-label="Clear hotspots"
+          style={getOptionStyle(false)}
         >
-          <div>
-            <h1
-              style={{
-                fontSize: THEME.typography.sizes.base,
-                fontWeight: THEME.typography.weights.semibold,
-                letterSpacing: "0.02em",
-                margin: `0 0 ${THEME.spacing.xs} 0`,
-                textTransform: "uppercase",
-              }}
-            >
-              Road Commons Observatory
-            </h1>
-            <p
-              style={{
-                fontSize: THEME.typography.sizes.small,
-                margin: 0,
-                color: THEME.colors.gray.medium,
-                fontWeight: THEME.typography.weights.normal,
-                maxWidth: "600px",
-              }}
-            >
-              A public observatory for aggregated road behavior and
-              infrastructure signals
-            </p>
-          </div>
+          Clear
+        </button>
+      )}
+    </div>
+  </div>
+);
 
-          <div
-            style={{
-              display: "flex",
-              gap: THEME.spacing.xxl,
-              fontSize: THEME.typography.sizes.small,
-              fontWeight: THEME.typography.weights.medium,
-            }}
-          >
-            <div>
-              <span style={{ color: THEME.colors.gray.medium }}>
-                OBSERVATIONS{isViewportFiltered ? " (IN VIEW)" : ""}:
-              </span>
-              <span style={{ marginLeft: THEME.spacing.sm }}>
-                {stats.total}
-              </span>
-            </div>
-            <div>
-              <span style={{ color: THEME.colors.gray.medium }}>REVIEWED:</span>
-              <span style={{ marginLeft: THEME.spacing.sm }}>
-                {stats.reviewRate}%
-              </span>
-            </div>
-            <div>
-              <span style={{ color: THEME.colors.gray.medium }}>
-                AVG RESPONSE:
-              </span>
-              <span style={{ marginLeft: THEME.spacing.sm }}>
-                {stats.avgResponseTime}d
-              </span>
-            </div>
-          </div>
-        </div>
-      </header>
+// Counts per type over the period, one row per type. Dragging across the
+// bars filters to those dates (a click takes one bar); hovering a bar
+// highlights its observations on the map. A playback frame, when given, is
+// highlighted in place of the brush; children render under the header.
+const TimeSeriesPanel = ({
+  series,
+  brush,
+  frame,
+  onIntervalChange,
+  onBrush,
+  onHover,
+  children,
+}) => {
+  const [drag, setDrag] = useState(null); // { anchor, current } bucket indices
+  const [hovered, setHovered] = useState(null); // { type, index }
+
+  const buckets = series?.buckets || [];
+  const types = Object.keys(OBSERVATION_TYPES);
+  const rowHeight = 24;
+  const maxCount = types.reduce(
+    (max, type) =>
+      (series?.counts[type] || []).reduce(
+        (m, count) => Math.max(m, count),
+        max
+      ),
+    1
+  );
+
+  const getIndex = (event) => {
+    const rect = event.currentTarget.getBoundingClientRect();
+    const ratio = (event.clientX - rect.left) / rect.width;
+    return Math.min(
+      Math.max(Math.floor(ratio * buckets.length), 0),
+      buckets.length - 1
+    );
+  };
 
+  const isBrushed = (bucket, index) => {
+    if (drag) {
+      const low = Math.min(drag.anchor, drag.current);
+      const high = Math.max(drag.anchor, drag.current);
+      return index >= low && index <= high;
+    }
+    const range = frame || brush;
+    return !range || (bucket.start < range.end && bucket.end > range.start);
+  };
+
+  const finishDrag = () => {
+    if (!drag) return;
+    const low = Math.min(drag.anchor, drag.current);
+    const high = Math.max(drag.anchor, drag.current);
+    setDrag(null);
+    onBrush({
+      from: TimeUtils.toDateInput(buckets[low].start),
+      to: TimeUtils.toDateInput(buckets[high].end - 1),
+    });
+  };
+
+  const hover = (next) => {
+    setHovered(next);
+    onHover(
+      next
+        ? {
+            type: next.type,
+            start: buckets[next.index].start,
+            end: buckets[next.index].end,
+          }
+        : null
+    );
+  };
+
+  return (
+    <div
+      style={{
+        borderTop: `1px solid ${THEME.colors.black}`,
+        background: THEME.colors.white,
+        padding: `${THEME.spacing.sm} ${THEME.spacing.lg}`,
+        fontSize: THEME.typography.sizes.tiny,
+        userSelect: "none",
+      }}
+    >
       <div
         style={{
-          flex: 1,
           display: "flex",
-          position: "relative",
-          overflow: "hidden",
+          alignItems: "center",
+          gap: THEME.spacing.sm,
+          marginBottom: THEME.spacing.xs,
         }}
       >
-        {/* Map Surface */}
-        <div
+        <span
           style={{
-            flex: 1,
-            position: "relative",
-            background: THEME.colors.gray.background,
+            fontWeight: THEME.typography.weights.semibold,
+            letterSpacing: "0.1em",
           }}
         >
-          {/* Controls Overlay */}
-          <div
-            style={{
-              position: "absolute",
-              top: THEME.spacing.lg,
-              left: THEME.spacing.lg,
-              zIndex: 1000,
-              background: THEME.colors.white,
-              border: `1px solid ${THEME.colors.black}`,
-              padding: THEME.spacing.md,
-            }}
-          >
-            <div style={{ marginBottom: THEME.spacing.md }}>
-              <div
-                style={{
-                  fontSize: THEME.typography.sizes.tiny,
-                  fontWeight: THEME.typography.weights.semibold,
-                  letterSpacing: "0.1em",
-                  marginBottom: THEME.spacing.sm,
-                  color: THEME.colors.black,
-                }}
-              >
-                LENS
-              </div>
-              <div
-                style={{
-                  display: "flex",
-                  flexDirection: "column",
-                  gap: THEME.spacing.xs,
-                }}
-              >
-                {[
-                  { value: "all", label: "All" },
-                  { value: "violation", label: "Violations" },
-                  { value: "risk", label: "Risk" },
-                  { value: "infrastructure", label: "Infrastructure" },
-                ].map((option) => (
-                  <button
-                    key={option.value}
-                    onClick={() => setLens(option.value)}
-                    aria-label={`Filter by ${option.label}`}
-                    aria-pressed={lens === option.value}
-                    style={{
-                      padding: `${THEME.spacing.sm} ${THEME.spacing.md}`,
-                      border: "none",
-                      borderLeft: `3px solid ${
-                        lens === option.value
-                          ? THEME.colors.black
-                          : "transparent"
-                      }`,
-                      background:
-                        lens === option.value
-                          ? THEME.colors.gray.background
-                          : "transparent",
-                      cursor: "pointer",
-                      fontSize: THEME.typography.sizes.xsmall,
-                      textAlign: "left",
-                      fontWeight:
-                        lens === option.value
-                          ? THEME.typography.weights.semibold
-                          : THEME.typography.weights.normal,
-                      color: THEME.colors.black,
-                      fontFamily: "inherit",
-                      transition: "all 0.15s ease",
-                    }}
-                  >
-                    {option.label}
-                  </button>
-                ))}
-              </div>
-            </div>
-
-            <div
-              style={{
-                borderTop: `1px solid ${THEME.colors.gray.lightest}`,
-                paddingTop: THEME.spacing.md,
-              }}
-            >
-              <div
-                style={{
-                  fontSize: THEME.typography.sizes.tiny,
-                  fontWeight: THEME.typography.weights.semibold,
-                  letterSpacing: "0.1em",
-                  marginBottom: THEME.spacing.sm,
-                  color: THEME.colors.black,
-                }}
-              >
-                PERIOD
-              </div>
-              <div
-                style={{
-                  display: "flex",
-                  gap: THEME.spacing.sm,
-                  fontSize: THEME.typography.sizes.xsmall,
-                }}
-              >
-                {Object.entries(TIME_WINDOWS).map(([value, config]) => (
-                  <button
-                    key={value}
-                    onClick={() => setTimeFilter(value)}
-                    aria-label={`Filter by ${config.label}`}
-                    aria-pressed={timeFilter === value}
-                    style={{
-                      padding: `${THEME.spacing.xs} ${THEME.spacing.sm}`,
-                      border: `1px solid ${THEME.colors.black}`,
-                      background:
-                        timeFilter === value
-                          ? THEME.colors.black
-                          : THEME.colors.white,
-                      color:
-                        timeFilter === value
-                          ? THEME.colors.white
-                          : THEME.colors.black,
-                      cursor: "pointer",
-                      fontSize: THEME.typography.sizes.xsmall,
-                      fontWeight: THEME.typography.weights.medium,
-                      fontFamily: "inherit",
-                    }}
-                  >
-                    {config.label}
-                  </button>
-                ))}
-              </div>
-            </div>
-          </div>
-
-          {/* Zoom Level Indicator */}
-          <div
-            style={{
-              position: "absolute",
-              bottom: THEME.spacing.lg,
-              left: THEME.spacing.lg,
-              zIndex: 1000,
-              background: THEME.colors.white,
-              border: `1px solid ${THEME.colors.black}`,
-              padding: `${THEME.spacing.sm} ${THEME.spacing.md}`,
-              fontSize: THEME.typography.sizes.xsmall,
-              fontWeight: THEME.typography.weights.medium,
-            }}
-          >
-            {zoomLevel <= 10 ? "DISTRICT" : zoomLevel <= 14 ? "WARD" : "STREET"}
-          </div>
-
-          {/* Map Container */}
-          <div
-            ref={mapRef}
-            style={{
-              width: "100%",
-              height: "100%",
-              filter: "grayscale(100%) contrast(1.1)",
-            }}
-          />
-
-          {!mapLoaded && (
-            <div
-              style={{
-                position: "absolute",
-                top: "50%",
-                left: "50%",
-                transform: "translate(-50%, -50%)",
-                fontSize: THEME.typography.sizes.base,
-                color: THEME.colors.gray.medium,
-              }}
-            >
-              Loading map...
-            </div>
-          )}
-        </div>
-
-        {/* Sidebar */}
-        {sidebarOpen && (
-          <div
-            style={{
-              width: "340px",
-              borderLeft: `1px solid ${THEME.colors.black}`,
-              background: THEME.colors.white,
-              display: "flex",
-              flexDirection: "column",
-              overflow: "hidden",
-            }}
+          OBSERVATIONS PER {(series?.interval || "day").toUpperCase()}
+        </span>
+        {Object.entries(SERIES_INTERVALS).map(([key, option]) => (
+          <button
+            key={key}
+            onClick={() => onIntervalChange(key)}
+            aria-pressed={series?.interval === key}
+            style={getOptionStyle(series?.interval === key, { compact: true })}
           >
+            {option.label}
+          </button>
+        ))}
+        <span style={{ flex: 1 }} />
+        {brush ? (
+          <>
+            <span style={{ color: THEME.colors.gray.medium }}>
+              {TimeUtils.formatDate(brush.start)} –{" "}
+              {TimeUtils.formatDate(brush.end - 1)}
+            </span>
+            <button
+              onClick={() => onBrush(null)}
+              aria-label="Clear the brushed dates"
+              style={getOptionStyle(false, { compact: true })}
+            >
+              Clear
+            </button>
+          </>
+        ) : (
+          <span style={{ color: THEME.colors.gray.light }}>
+            Drag across the bars to filter by date
+          </span>
+        )}
+      </div>
+
+      {children}
+
+      <div
+        onMouseUp={finishDrag}
+        onMouseLeave={() => {
+          finishDrag();
+          if (hovered) hover(null);
+        }}
+      >
+        {types.map((type) => (
+          <div key={type} style={{ display: "flex", alignItems: "center" }}>
             <div
-              ref={sidebarContentRef}
               style={{
-                flex: 1,
-                overflow: "auto",
-                padding: THEME.spacing.xl,
+                width: "90px",
+                flexShrink: 0,
+                color: THEME.colors.gray.medium,
               }}
             >
-              {selectedObservation ? (
-                <ObservationDetail
-                  observation={selectedObservation}
-                  patternContext={getPatternContext(selectedObservation)}
-                  expandedDetail={expandedDetail}
-                  onToggleExpanded={() => setExpandedDetail(!expandedDetail)}
-                  onBack={() => {
-                    setSelectedObservation(null);
-                    setExpandedDetail(false);
-                  }}
-                  onCityWidePattern={handleCityWidePattern}
-                  onLocalPattern={handleLocalPattern}
-                />
-              ) : patternMode !== PATTERN_MODE.NONE && patternData ? (
-                <PatternAnalysisView
-                  mode={patternMode}
-                  data={patternData}
-                  typeLabel={ContentUtils.getTypeLabel(patternData.type)}
-                  onClear={handleClearPatternMode}
-                />
-              ) : (
-                <CurrentViewSummary
-                  stats={stats}
-                  isViewportFiltered={isViewportFiltered}
-                />
-              )}
+              {ContentUtils.getTypeLabel(type)}
             </div>
+            <svg
+              viewBox={`0 0 ${Math.max(buckets.length, 1)} ${rowHeight}`}
+              preserveAspectRatio="none"
+              style={{
+                flex: 1,
+                height: `${rowHeight}px`,
+                cursor: buckets.length > 0 ? "crosshair" : "default",
+                borderBottom: `1px solid ${THEME.colors.gray.lightest}`,
+              }}
+              onMouseDown={(event) => {
+                if (buckets.length === 0) return;
+                const index = getIndex(event);
+                setDrag({ anchor: index, current: index });
+              }}
+              onMouseMove={(event) => {
+                if (buckets.length === 0) return;
+                const index = getIndex(event);
+                if (drag && drag.current !== index) {
+                  setDrag({ ...drag, current: index });
+                }
+                if (hovered?.type !== type || hovered?.index !== index) {
+                  hover({ type, index });
+                }
+              }}
+            >
+              {buckets.map((bucket, index) => {
+                const count = series.counts[type][index];
+                const height = (count / maxCount) * (rowHeight - 2);
+                const isHovered =
+                  hovered?.type === type && hovered?.index === index;
+                return (
+                  <rect
+                    key={bucket.start}
+                    x={index + 0.1}
+                    y={rowHeight - height}
+                    width={0.8}
+                    height={height}
+                    fill={
+                      isHovered
+                        ? THEME.colors.gray.medium
+                        : isBrushed(bucket, index)
+                        ? THEME.colors.black
+                        : THEME.colors.gray.lighter
+                    }
+                  >
+                    <title>
+                      {`${TimeUtils.formatDate(
+                        bucket.start
+                      )}: ${count} ${ContentUtils.getTypeLabel(
+                        type
+                      ).toLowerCase()}`}
+                    </title>
+                  </rect>
+                );
+              })}
+            </svg>
           </div>
+        ))}
+      </div>
+
+      <div
+        style={{
+          display: "flex",
+          justifyContent: "space-between",
+          marginLeft: "90px",
+          marginTop: THEME.spacing.xs,
+          color: THEME.colors.gray.light,
+        }}
+      >
+        {buckets.length > 0 ? (
+          <>
+            <span>{TimeUtils.formatDate(buckets[0].start)}</span>
+            <span>
+              {TimeUtils.formatDate(buckets[buckets.length - 1].start)}
+            </span>
+          </>
+        ) : (
+          <span>No observations in the current filters</span>
         )}
+      </div>
+    </div>
+  );
+};
 
-        {/* Sidebar toggle when closed */}
-        {!sidebarOpen && (
+// Play/pause, day steps, window length, speed and stop for time playback
+const PlaybackControls = ({
+  playback,
+  frame,
+  isAvailable,
+  onStart,
+  onSeek,
+  onStop,
+}) => (
+  <div
+    style={{
+      display: "flex",
+      alignItems: "center",
+      gap: THEME.spacing.xs,
+      marginBottom: THEME.spacing.xs,
+    }}
+  >
+    {!playback ? (
+      <button
+        onClick={onStart}
+        disabled={!isAvailable}
+        aria-label="Play the observations over time"
+        style={getOptionStyle(false, { compact: true })}
+      >
+        ▶ Play over time
+      </button>
+    ) : (
+      <>
+        <button
+          onClick={() =>
+            onSeek((current) => ({ isPlaying: !current.isPlaying }))
+          }
+          aria-label={playback.isPlaying ? "Pause playback" : "Play"}
+          style={getOptionStyle(playback.isPlaying, { compact: true })}
+        >
+          {playback.isPlaying ? "❚❚" : "▶"}
+        </button>
+        <button
+          onClick={() =>
+            onSeek((current) => ({
+              start: TimeUtils.addDays(current.start, -1),
+              isPlaying: false,
+            }))
+          }
+          aria-label="Previous day"
+          style={getOptionStyle(false, { compact: true })}
+        >
+          ◀ 1d
+        </button>
+        <button
+          onClick={() =>
+            onSeek((current) => ({
+              start: TimeUtils.addDays(current.start, 1),
+              isPlaying: false,
+            }))
+          }
+          aria-label="Next day"
+          style={getOptionStyle(false, { compact: true })}
+        >
+          1d ▶
+        </button>
+        <span style={{ marginLeft: THEME.spacing.sm }}>Window</span>
+        {PLAYBACK_WINDOWS.map((days) => (
           <button
-            onClick={() => setSidebarOpen(true)}
-            aria-label="Open data panel"
+            key={days}
+            onClick={() => onSeek(() => ({ windowDays: days }))}
+            aria-pressed={playback.windowDays === days}
+            style={getOptionStyle(playback.windowDays === days, {
+              compact: true,
+            })}
+          >
+            {days}d
+          </button>
+        ))}
+        <span style={{ marginLeft: THEME.spacing.sm }}>Speed</span>
+        {PLAYBACK_SPEEDS.map((speed, index) => (
+          <button
+            key={speed.label}
+            onClick={() => onSeek(() => ({ speed: index }))}
+            aria-pressed={playback.speed === index}
+            style={getOptionStyle(playback.speed === index, { compact: true })}
+          >
+            {speed.label}
+          </button>
+        ))}
+        <span
+          style={{
+            flex: 1,
+            textAlign: "right",
+            fontWeight: THEME.typography.weights.semibold,
+          }}
+        >
+          {playback.windowDays === 1
+            ? TimeUtils.formatDate(frame.start)
+            : `${TimeUtils.formatDate(frame.start)} – ${TimeUtils.formatDate(
+                frame.end - 1
+              )}`}
+        </span>
+        <button
+          onClick={onStop}
+          aria-label="Stop playback"
+          style={getOptionStyle(false, { compact: true })}
+        >
+          Stop
+        </button>
+      </>
+    )}
+  </div>
+);
+
+// Compare button under PERIOD, naming the window compared against
+const PeriodComparisonToggle = ({ isComparing, comparisonRange, onToggle }) => (
+  <div
+    style={{
+      display: "flex",
+      alignItems: "center",
+      flexWrap: "wrap",
+      gap: THEME.spacing.sm,
+      marginTop: THEME.spacing.sm,
+      fontSize: THEME.typography.sizes.tiny,
+      color: THEME.colors.gray.medium,
+    }}
+  >
+    <button
+      onClick={onToggle}
+      aria-label="Compare with the previous period"
+      aria-pressed={isComparing}
+      style={getOptionStyle(isComparing)}
+    >
+      Compare
+    </button>
+    {isComparing &&
+      (comparisonRange
+        ? `vs ${TimeUtils.describePeriod(CUSTOM_PERIOD, comparisonRange)}`
+        : "Needs a period with a start")}
+  </div>
+);
+
+const DateRangePicker = ({ range, onChange }) => {
+  // Inputs keep their own draft so a half-typed date does not clear the range
+  const [draft, setDraft] = useState(range);
+
+  useEffect(() => {
+    setDraft(range);
+  }, [range]);
+
+  const updateDraft = (field, value) => {
+    const next = { ...draft, [field]: value };
+    setDraft(next);
+    if (TimeUtils.isValidDateRange(next)) onChange(next);
+  };
+
+  const isValid = TimeUtils.isValidDateRange(draft);
+
+  const inputStyle = {
+    width: "100%",
+    padding: THEME.spacing.xs,
+    border: `1px solid ${
+      isValid ? THEME.colors.gray.lighter : THEME.colors.black
+    }`,
+    borderRadius: 0,
+    fontSize: THEME.typography.sizes.xsmall,
+    fontFamily: "inherit",
+    color: THEME.colors.black,
+    background: THEME.colors.white,
+  };
+
+  const labelStyle = {
+    display: "block",
+    fontSize: THEME.typography.sizes.tiny,
+    color: THEME.colors.gray.medium,
+    marginBottom: THEME.spacing.xs,
+  };
+
+  return (
+    <div style={{ marginTop: THEME.spacing.md }}>
+      <div
+        style={{
+          display: "grid",
+          gridTemplateColumns: "1fr 1fr",
+          gap: THEME.spacing.sm,
+        }}
+      >
+        <label>
+          <span style={labelStyle}>FROM</span>
+          <input
+            type="date"
+            value={draft.from || ""}
+            max={draft.to || undefined}
+            onChange={(e) => updateDraft("from", e.target.value)}
+            aria-label="Period start date"
+            style={inputStyle}
+          />
+        </label>
+        <label>
+          <span style={labelStyle}>TO</span>
+          <input
+            type="date"
+            value={draft.to || ""}
+            min={draft.from || undefined}
+            onChange={(e) => updateDraft("to", e.target.value)}
+            aria-label="Period end date"
+            style={inputStyle}
+          />
+        </label>
+      </div>
+
+      {!isValid && (
+        <div
+          role="alert"
+          style={{
+            marginTop: THEME.spacing.xs,
+            fontSize: THEME.typography.sizes.tiny,
+            color: THEME.colors.black,
+          }}
+        >
+          Start date must be on or before end date.
+        </div>
+      )}
+
+      <div
+        style={{
+          display: "flex",
+          flexWrap: "wrap",
+          gap: THEME.spacing.xs,
+          marginTop: THEME.spacing.sm,
+        }}
+      >
+        {DATE_RANGE_PRESETS.map((preset) => (
+          <button
+            key={preset.id}
+            onClick={() => {
+              const { from, to } = preset.getRange(new Date());
+              onChange({
+                from: TimeUtils.toDateInput(from),
+                to: TimeUtils.toDateInput(to),
+              });
+            }}
+            aria-label={`Set period to ${preset.label}`}
             style={{
-              position: "absolute",
-              right: 0,
-              top: "50%",
-              transform: "translateY(-50%)",
-              padding: `${THEME.spacing.xxl} ${THEME.spacing.sm}`,
+              padding: `${THEME.spacing.xs} ${THEME.spacing.sm}`,
+              border: `1px solid ${THEME.colors.gray.lighter}`,
               background: THEME.colors.white,
-              border: `1px solid ${THEME.colors.black}`,
-              borderRight: "none",
               cursor: "pointer",
-              fontSize: THEME.typography.sizes.xsmall,
-              fontWeight: THEME.typography.weights.semibold,
-              writingMode: "vertical-rl",
-              letterSpacing: "0.1em",
+              fontSize: THEME.typography.sizes.tiny,
               fontFamily: "inherit",
-              zIndex: 1000,
+              color: THEME.colors.black,
             }}
           >
-            DATA
+            {preset.label}
           </button>
-        )}
+        ))}
       </div>
-
-      {/* Footer */}
-      <footer
-        style={{
-          borderTop: `1px solid ${THEME.colors.black}`,
-          padding: `${THEME.spacing.md} ${THEME.spacing.xl}`,
-          fontSize: THEME.typography.sizes.tiny,
-          color: THEME.colors.gray.medium,
-          textAlign: "center",
-          background: THEME.colors.white,
-          fontStyle: "italic",
-        }}
-      >
-        This is an observatory, not a courtroom. Data shown reflects reported
-        observations.
-      </footer>
-
-      <style>{`
-        @import url('https://fonts.googleapis.com/css2?family=IBM+Plex+Mono:wght@400;500;600&family=IBM+Plex+Sans:wght@300;400;600&display=swap');
-        
-        * {
-          box-sizing: border-box;
-        }
-        
-        button:hover {
-          opacity: 0.8;
-        }
-        
-        button:active {
-          opacity: 0.6;
-        }
-        
-        button:focus-visible {
-          outline: 2px solid ${THEME.colors.black};
-          outline-offset: 2px;
-        }
-        
-        .leaflet-control-zoom {
-          border: 1px solid ${THEME.colors.black} !important;
-          border-radius: 0 !important;
-        }
-        
-        .leaflet-control-zoom a {
-          background: ${THEME.colors.white} !important;
-          color: ${THEME.colors.black} !important;
-          border: none !important;
-          border-bottom: 1px solid ${THEME.colors.black} !important;
-          border-radius: 0 !important;
-          font-family: 'IBM Plex Mono', monospace !important;
-          font-weight: 600 !important;
-          width: 30px !important;
-          height: 30px !important;
-          line-height: 30px !important;
-        }
-        
-        .leaflet-control-zoom a:last-child {
-          border-bottom: none !important;
-        }
-        
-        .leaflet-control-zoom a:hover {
-          background: ${THEME.colors.gray.background} !important;
-        }
-        
-        .leaflet-bar {
-          box-shadow: none !important;
-        }
-        
-        .custom-cluster-icon {
-          background: transparent !important;
-        }
-        
-        .marker-cluster {
-          background: transparent !important;
-        }
-        
-        .leaflet-popup-content-wrapper {
-          background: ${THEME.colors.white};
-          border: 1px solid ${THEME.colors.black};
-          border-radius: 0;
-          box-shadow: none;
-          padding: 8px;
-        }
-        
-        .leaflet-popup-tip {
-          background: ${THEME.colors.white};
-          border: 1px solid ${THEME.colors.black};
-          box-shadow: none;
-        }
-        
-        .leaflet-popup-close-button {
-          color: ${THEME.colors.black} !important;
-          font-size: 18px !important;
-          font-weight: bold !important;
-        }
-      `}</style>
     </div>
   );
 };
 
-// ============================================================================
-// SUBCOMPONENTS
-// ============================================================================
+const DataStateOverlay = ({
+  status,
+  error,
+  totalCount,
+  filteredCount,
+  onRetry,
+}) => {
+  let title = null;
+  let message = null;
+
+  if (status === DATA_STATUS.LOADING) {
+    title = "Loading observations...";
+  } else if (status === DATA_STATUS.ERROR) {
+    title = "Observations could not be loaded";
+    message = error;
+  } else if (totalCount === 0) {
+    title = "No observations available";
+    message = "The data source returned no records.";
+  } else if (filteredCount === 0) {
+    title = "No observations match the current filters";
+    message = "Try a different lens, a longer period or wider time of day.";
+  }
+
+  if (!title) return null;
+
+  return (
+    <div
+      role={status === DATA_STATUS.ERROR ? "alert" : "status"}
+      style={{
+        position: "absolute",
+        top: "50%",
+        left: "50%",
+        transform: "translate(-50%, -50%)",
+        zIndex: 1000,
+        background: THEME.colors.white,
+        border: `1px solid ${THEME.colors.black}`,
+        padding: `${THEME.spacing.lg} ${THEME.spacing.xl}`,
+        maxWidth: "320px",
+        textAlign: "center",
+        pointerEvents: status === DATA_STATUS.ERROR ? "auto" : "none",
+      }}
+    >
+      <div
+        style={{
+          fontSize: THEME.typography.sizes.small,
+          fontWeight: THEME.typography.weights.semibold,
+          color: THEME.colors.black,
+        }}
+      >
+        {title}
+      </div>
+      {message && (
+        <div
+          style={{
+            marginTop: THEME.spacing.sm,
+            fontSize: THEME.typography.sizes.xsmall,
+            lineHeight: "1.5",
+            color: THEME.colors.gray.medium,
+          }}
+        >
+          {message}
+        </div>
+      )}
+      {status === DATA_STATUS.ERROR && (
+        <button
+          onClick={onRetry}
+          aria-label="Retry loading observations"
+          style={{
+            marginTop: THEME.spacing.md,
+            padding: `${THEME.spacing.xs} ${THEME.spacing.md}`,
+            border: `1px solid ${THEME.colors.black}`,
+            background: THEME.colors.white,
+            cursor: "pointer",
+            fontSize: THEME.typography.sizes.xsmall,
+            fontWeight: THEME.typography.weights.medium,
+            fontFamily: "inherit",
+          }}
+        >
+          RETRY
+        </button>
+      )}
+    </div>
+  );
+};
+
+// Observations per hour of the week as dots sized by count, Monday first.
+// Clicking an hour filters the map to it; clicking it again clears.
+const HourOfWeekPunchcard = ({ counts, slot, onSlotChange }) => {
+  const cellSize = 10;
+  const labelWidth = 22;
+  const headerHeight = 10;
+  const maxCount = Math.max(1, ...counts.map((row) => Math.max(...row)));
+
+  return (
+    <div style={{ marginBottom: THEME.spacing.xxl }}>
+      <div
+        style={{
+          fontSize: THEME.typography.sizes.tiny,
+          fontWeight: THEME.typography.weights.semibold,
+          letterSpacing: "0.1em",
+          marginBottom: THEME.spacing.sm,
+          color: THEME.colors.black,
+        }}
+      >
+        HOUR OF WEEK
+      </div>
+      <div
+        style={{
+          marginBottom: THEME.spacing.sm,
+          fontSize: THEME.typography.sizes.tiny,
+          color: THEME.colors.gray.medium,
+        }}
+      >
+        {slot ? (
+          <>
+            Map shows {TimeUtils.describeHourSlot(slot)} only.{" "}
+            <button
+              onClick={() => onSlotChange(null)}
+              aria-label="Clear hour of week filter"
+              style={{
+                padding: 0,
+                border: "none",
+                background: "transparent",
+                textDecoration: "underline",
+                cursor: "pointer",
+                fontSize: "inherit",
+                fontFamily: "inherit",
+                color: THEME.colors.black,
+              }}
+            >
+              Clear
+            </button>
+          </>
+        ) : (
+          "Click an hour to show only it on the map."
+        )}
+      </div>
+      <svg
+        viewBox={`0 0 ${labelWidth + 24 * cellSize} ${
+          headerHeight + 7 * cellSize
+        }`}
+        style={{ width: "100%", display: "block" }}
+        role="img"
+        aria-label="Observations by hour of week"
+      >
+        {[0, 6, 12, 18].map((hour) => (
+          <text
+            key={hour}
+            x={labelWidth + hour * cellSize}
+            y={headerHeight - 3}
+            fontSize={6}
+            fill={THEME.colors.gray.light}
+          >
+            {String(hour).padStart(2, "0")}
+          </text>
+        ))}
+        {counts.map((row, day) => (
+          <g key={day}>
+            <text
+              x={0}
+              y={headerHeight + day * cellSize + cellSize / 2 + 2}
+              fontSize={6}
+              fill={THEME.colors.gray.medium}
+            >
+              {HourOfWeekUtils.DAY_LABELS[day]}
+            </text>
+            {row.map((count, hour) => {
+              const isSelected = slot?.day === day && slot?.hour === hour;
+              const x = labelWidth + hour * cellSize;
+              const y = headerHeight + day * cellSize;
+              return (
+                <g
+                  key={hour}
+                  onClick={() =>
+                    onSlotChange(isSelected ? null : { day, hour })
+                  }
+                  style={{ cursor: "pointer" }}
+                >
+                  <title>
+                    {`${TimeUtils.describeHourSlot({
+                      day,
+                      hour,
+                    })}: ${count} observation${count === 1 ? "" : "s"}`}
+                  </title>
+                  <rect
+                    x={x + 0.5}
+                    y={y + 0.5}
+                    width={cellSize - 1}
+                    height={cellSize - 1}
+                    fill={
+                      isSelected ? THEME.colors.gray.lightest : "transparent"
+                    }
+                    stroke={isSelected ? THEME.colors.black : "none"}
+                    strokeWidth={0.5}
+                  />
+                  {count > 0 && (
+                    <circle
+                      cx={x + cellSize / 2}
+                      cy={y + cellSize / 2}
+                      r={Math.max(0.8, Math.sqrt(count / maxCount) * 4)}
+                      fill={THEME.colors.black}
+                    />
+                  )}
+                </g>
+              );
+            })}
+          </g>
+        ))}
+      </svg>
+    </div>
+  );
+};
 
-const CurrentViewSummary = ({ stats, isViewportFiltered }) => (
+const CurrentViewSummary = ({
+  stats,
+  previousStats,
+  punchcard,
+  hourSlot,
+  onHourSlotChange,
+  isViewportFiltered,
+  lensFilter,
+  statusFilter,
+  areaStats,
+  areaLabel,
+  areaMetric,
+  onAreaSelect,
+}) => (
   <div>
     <div
       style={{
@@ -1352,6 +6056,31 @@ const CurrentViewSummary = ({ stats, isViewportFiltered }) => (
       }}
     >
       CURRENT VIEW{isViewportFiltered ? " · MAP VIEWPORT" : ""}
+      {lensFilter.length > 0 && (
+        <div
+          style={{
+            marginTop: THEME.spacing.xs,
+            fontWeight: THEME.typography.weights.normal,
+            letterSpacing: "normal",
+            color: THEME.colors.gray.medium,
+          }}
+        >
+          Lens: {lensFilter.map((t) => ContentUtils.getTypeLabel(t)).join(", ")}
+        </div>
+      )}
+      {statusFilter.length > 0 && (
+        <div
+          style={{
+            marginTop: THEME.spacing.xs,
+            fontWeight: THEME.typography.weights.normal,
+            letterSpacing: "normal",
+            color: THEME.colors.gray.medium,
+          }}
+        >
+          Status:{" "}
+          {statusFilter.map((s) => ContentUtils.getStatusLabel(s)).join(", ")}
+        </div>
+      )}
     </div>
 
     <table
@@ -1382,50 +6111,134 @@ const CurrentViewSummary = ({ stats, isViewportFiltered }) => (
             }}
           >
             {stats.total}
+            {previousStats && (
+              <ChangeNote>
+                {ContentUtils.formatCountChange(
+                  stats.total,
+                  previousStats.total
+                )}
+              </ChangeNote>
+            )}
           </td>
         </tr>
-        <tr style={{ borderBottom: `1px solid ${THEME.colors.gray.lightest}` }}>
-          <td
-            style={{
-              padding: `${THEME.spacing.sm} 0`,
-              color: THEME.colors.gray.medium,
-            }}
-          >
-            Violations
-          </td>
-          <td style={{ padding: `${THEME.spacing.sm} 0`, textAlign: "right" }}>
-            {stats.byType.violation}
-          </td>
-        </tr>
-        <tr style={{ borderBottom: `1px solid ${THEME.colors.gray.lightest}` }}>
-          <td
-            style={{
-              padding: `${THEME.spacing.sm} 0`,
-              color: THEME.colors.gray.medium,
-            }}
-          >
-            Risk
-          </td>
-          <td style={{ padding: `${THEME.spacing.sm} 0`, textAlign: "right" }}>
-            {stats.byType.risk}
-          </td>
-        </tr>
-        <tr>
-          <td
-            style={{
-              padding: `${THEME.spacing.sm} 0`,
-              color: THEME.colors.gray.medium,
-            }}
-          >
-            Infrastructure
-          </td>
-          <td style={{ padding: `${THEME.spacing.sm} 0`, textAlign: "right" }}>
-            {stats.byType.infrastructure}
-          </td>
-        </tr>
+        {Object.keys(stats.byType)
+          .filter(
+            (type) => lensFilter.length === 0 || lensFilter.includes(type)
+          )
+          .map((type, index, types) => (
+            <tr
+              key={type}
+              style={{
+                borderBottom:
+                  index < types.length - 1
+                    ? `1px solid ${THEME.colors.gray.lightest}`
+                    : "none",
+              }}
+            >
+              <td
+                style={{
+                  padding: `${THEME.spacing.sm} 0`,
+                  color: THEME.colors.gray.medium,
+                }}
+              >
+                {ContentUtils.getTypeLabel(type)}
+              </td>
+              <td
+                style={{ padding: `${THEME.spacing.sm} 0`, textAlign: "right" }}
+              >
+                {stats.byType[type]}
+                {previousStats && (
+                  <ChangeNote>
+                    {ContentUtils.formatChange(
+                      stats.byType[type],
+                      previousStats.byType[type] ?? 0
+                    )}
+                  </ChangeNote>
+                )}
+              </td>
+            </tr>
+          ))}
+      </tbody>
+    </table>
+
+    <div
+      style={{
+        fontSize: THEME.typography.sizes.tiny,
+        fontWeight: THEME.typography.weights.semibold,
+        letterSpacing: "0.1em",
+        marginBottom: THEME.spacing.sm,
+        color: THEME.colors.black,
+      }}
+    >
+      BY STATUS
+    </div>
+    <table
+      style={{
+        width: "100%",
+        fontSize: THEME.typography.sizes.small,
+        borderCollapse: "collapse",
+        marginBottom: THEME.spacing.xxl,
+      }}
+    >
+      <tbody>
+        {Object.keys(stats.byStatus)
+          .filter(
+            (status) =>
+              statusFilter.length === 0 || statusFilter.includes(status)
+          )
+          .map((status, index, statuses) => (
+            <tr
+              key={status}
+              style={{
+                borderBottom:
+                  index < statuses.length - 1
+                    ? `1px solid ${THEME.colors.gray.lightest}`
+                    : "none",
+              }}
+            >
+              <td
+                style={{
+                  padding: `${THEME.spacing.sm} 0`,
+                  color: THEME.colors.gray.medium,
+                }}
+              >
+                {ContentUtils.getStatusLabel(status)}
+              </td>
+              <td
+                style={{ padding: `${THEME.spacing.sm} 0`, textAlign: "right" }}
+              >
+                {stats.byStatus[status]}
+                {previousStats && (
+                  <ChangeNote>
+                    {ContentUtils.formatChange(
+                      stats.byStatus[status],
+                      previousStats.byStatus[status] ?? 0
+                    )}
+                  </ChangeNote>
+                )}
+              </td>
+            </tr>
+          ))}
       </tbody>
     </table>
 
+    {punchcard && (
+      <HourOfWeekPunchcard
+        counts={punchcard}
+        slot={hourSlot}
+        onSlotChange={onHourSlotChange}
+      />
+    )}
+
+    {areaStats && (
+      <AreaStatsTable
+        areaStats={areaStats}
+        areaLabel={areaLabel}
+        metric={areaMetric}
+        onSelect={onAreaSelect}
+      />
+    )}
+
     <div
       style={{
         borderTop: `2px solid ${THEME.colors.black}`,
@@ -1496,42 +6309,331 @@ const CurrentViewSummary = ({ stats, isViewportFiltered }) => (
         </tbody>
       </table>
 
-      <div
+      <div
+        style={{
+          fontSize: THEME.typography.sizes.tiny,
+          lineHeight: "1.5",
+          color: THEME.colors.gray.light,
+          fontStyle: "italic",
+        }}
+      >
+        Visibility indicators, not performance targets.
+      </div>
+    </div>
+
+    <div
+      style={{
+        marginTop: THEME.spacing.xxl,
+        paddingTop: THEME.spacing.lg,
+        borderTop: `1px solid ${THEME.colors.gray.lightest}`,
+      }}
+    >
+      <div
+        style={{
+          fontSize: THEME.typography.sizes.xsmall,
+          lineHeight: "1.6",
+          color: THEME.colors.gray.medium,
+        }}
+      >
+        Each observation contributes to pattern recognition. This observatory
+        exists to inform collective understanding and institutional response.
+      </div>
+    </div>
+  </div>
+);
+
+// Areas ranked by filtered observations (whole city, not just the viewport)
+const AreaStatsTable = ({ areaStats, areaLabel, metric, onSelect }) => {
+  // Rows carry previousTotal while comparing periods
+  const isComparing = areaStats.rows.some(
+    ({ stats }) => stats.previousTotal !== undefined
+  );
+  const cellStyle = { padding: `${THEME.spacing.sm} 0`, textAlign: "right" };
+  const headerStyle = {
+    ...cellStyle,
+    fontSize: THEME.typography.sizes.tiny,
+    fontWeight: THEME.typography.weights.normal,
+    color: THEME.colors.gray.light,
+  };
+
+  return (
+    <div style={{ marginBottom: THEME.spacing.xxl }}>
+      <div
+        style={{
+          fontSize: THEME.typography.sizes.tiny,
+          fontWeight: THEME.typography.weights.semibold,
+          letterSpacing: "0.1em",
+          marginBottom: THEME.spacing.sm,
+          color: THEME.colors.black,
+        }}
+      >
+        BY {areaLabel.toUpperCase()}
+      </div>
+      <div
+        style={{
+          marginBottom: THEME.spacing.sm,
+          fontSize: THEME.typography.sizes.tiny,
+          color: THEME.colors.gray.medium,
+        }}
+      >
+        {metric
+          ? `Worst ${AREA_METRICS[
+              metric
+            ].label.toLowerCase()} first. Response times in days.`
+          : "Most observations first. Response times in days."}
+      </div>
+      <table
+        style={{
+          width: "100%",
+          fontSize: THEME.typography.sizes.xsmall,
+          borderCollapse: "collapse",
+        }}
+      >
+        <thead>
+          <tr
+            style={{ borderBottom: `1px solid ${THEME.colors.gray.lighter}` }}
+          >
+            <th style={{ ...headerStyle, textAlign: "left" }}>{areaLabel}</th>
+            <th style={headerStyle}>Obs.</th>
+            {isComparing && <th style={headerStyle}>Change</th>}
+            <th style={headerStyle}>Reviewed</th>
+            <th style={headerStyle}>Avg</th>
+            <th style={headerStyle}>Median</th>
+          </tr>
+        </thead>
+        <tbody>
+          {areaStats.rows.map(({ area, stats }) => (
+            <tr
+              key={area.id}
+              onClick={() => onSelect(area)}
+              title={`Zoom to ${area.name}`}
+              style={{
+                borderBottom: `1px solid ${THEME.colors.gray.lightest}`,
+                cursor: "pointer",
+                color:
+                  stats.total > 0
+                    ? THEME.colors.black
+                    : THEME.colors.gray.light,
+              }}
+            >
+              <td style={{ padding: `${THEME.spacing.sm} 0` }}>{area.name}</td>
+              <td style={cellStyle}>{stats.total}</td>
+              {isComparing && (
+                <td style={cellStyle}>
+                  {ContentUtils.formatChange(
+                    stats.total,
+                    stats.previousTotal ?? 0
+                  )}
+                </td>
+              )}
+              <td style={cellStyle}>
+                {stats.total > 0 ? `${stats.reviewRate}%` : "–"}
+              </td>
+              <td style={cellStyle}>
+                {stats.total > 0 ? `${stats.avgResponseTime}d` : "–"}
+              </td>
+              <td style={cellStyle}>
+                {stats.medianResponseTime !== null
+                  ? `${stats.medianResponseTime}d`
+                  : "–"}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {areaStats.unassigned > 0 && (
+        <div
+          style={{
+            marginTop: THEME.spacing.sm,
+            fontSize: THEME.typography.sizes.tiny,
+            color: THEME.colors.gray.medium,
+          }}
+        >
+          {areaStats.unassigned} outside every {areaLabel.toLowerCase()}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Difference from the comparison window, set after the figure it qualifies
+const ChangeNote = ({ children }) => (
+  <span
+    style={{
+      marginLeft: THEME.spacing.xs,
+      fontSize: THEME.typography.sizes.tiny,
+      fontWeight: THEME.typography.weights.normal,
+      fontFamily: "inherit",
+      color: THEME.colors.gray.medium,
+    }}
+  >
+    {children}
+  </span>
+);
+
+// Label/value rows in the sidebar's table style
+const StatsTable = ({ rows }) => (
+  <table
+    style={{
+      width: "100%",
+      fontSize: THEME.typography.sizes.small,
+      borderCollapse: "collapse",
+      marginBottom: THEME.spacing.xxl,
+    }}
+  >
+    <tbody>
+      {rows.map((row, index) => (
+        <tr
+          key={row.label}
+          style={{
+            borderBottom:
+              index < rows.length - 1
+                ? `1px solid ${THEME.colors.gray.lightest}`
+                : "none",
+          }}
+        >
+          <td
+            style={{
+              padding: `${THEME.spacing.sm} 0`,
+              color: THEME.colors.gray.medium,
+            }}
+          >
+            {row.label}
+          </td>
+          <td
+            style={{
+              padding: `${THEME.spacing.sm} 0`,
+              textAlign: "right",
+              fontWeight: THEME.typography.weights.semibold,
+            }}
+          >
+            {row.value}
+          </td>
+        </tr>
+      ))}
+    </tbody>
+  </table>
+);
+
+// Stats for the observations inside one aggregation cell
+const CellStatsView = ({ cell, shapeLabel, cellSize, onBack }) => {
+  const stats = StatsUtils.calculateObservationStats(cell.observations);
+  const sectionLabelStyle = {
+    fontSize: THEME.typography.sizes.tiny,
+    fontWeight: THEME.typography.weights.semibold,
+    letterSpacing: "0.1em",
+    marginBottom: THEME.spacing.sm,
+    color: THEME.colors.black,
+  };
+
+  return (
+    <div>
+      <button
+        onClick={onBack}
+        aria-label="Back to current view"
         style={{
-          fontSize: THEME.typography.sizes.tiny,
-          lineHeight: "1.5",
-          color: THEME.colors.gray.light,
-          fontStyle: "italic",
+          padding: `${THEME.spacing.md} 0`,
+          border: "none",
+          background: "transparent",
+          cursor: "pointer",
+          fontSize: THEME.typography.sizes.xsmall,
+          fontWeight: THEME.typography.weights.medium,
+          fontFamily: "inherit",
+          color: THEME.colors.gray.medium,
+          marginBottom: THEME.spacing.lg,
+          display: "flex",
+          alignItems: "center",
+          gap: THEME.spacing.sm,
         }}
       >
-        Visibility indicators, not performance targets.
-      </div>
-    </div>
+        <span>←</span>
+        <span>Back to current view</span>
+      </button>
 
-    <div
-      style={{
-        marginTop: THEME.spacing.xxl,
-        paddingTop: THEME.spacing.lg,
-        borderTop: `1px solid ${THEME.colors.gray.lightest}`,
-      }}
-    >
       <div
         style={{
-          fontSize: THEME.typography.sizes.xsmall,
-          lineHeight: "1.6",
-          color: THEME.colors.gray.medium,
+          marginBottom: THEME.spacing.xl,
+          paddingBottom: THEME.spacing.lg,
+          borderBottom: `2px solid ${THEME.colors.black}`,
         }}
       >
-        Each observation contributes to pattern recognition. This observatory
-        exists to inform collective understanding and institutional response.
+        <div style={{ ...sectionLabelStyle, color: THEME.colors.gray.medium }}>
+          GRID CELL
+        </div>
+        <div
+          style={{
+            fontSize: THEME.typography.sizes.large,
+            fontWeight: THEME.typography.weights.semibold,
+            fontFamily: "'IBM Plex Sans', sans-serif",
+          }}
+        >
+          {stats.total} {stats.total === 1 ? "observation" : "observations"}
+        </div>
+        <div
+          style={{
+            marginTop: THEME.spacing.xs,
+            fontSize: THEME.typography.sizes.xsmall,
+            color: THEME.colors.gray.medium,
+          }}
+        >
+          {shapeLabel} cell, {cellSize}m across
+        </div>
       </div>
+
+      <div style={sectionLabelStyle}>BY TYPE</div>
+      <StatsTable
+        rows={Object.keys(stats.byType).map((type) => ({
+          label: ContentUtils.getTypeLabel(type),
+          value: stats.byType[type],
+        }))}
+      />
+
+      <div style={sectionLabelStyle}>BY STATUS</div>
+      <StatsTable
+        rows={Object.keys(stats.byStatus).map((status) => ({
+          label: ContentUtils.getStatusLabel(status),
+          value: stats.byStatus[status],
+        }))}
+      />
+
+      <div style={sectionLabelStyle}>INSTITUTIONAL METRICS</div>
+      <StatsTable
+        rows={[
+          { label: "Review Rate", value: `${stats.reviewRate}%` },
+          { label: "Avg Response", value: `${stats.avgResponseTime} days` },
+        ]}
+      />
     </div>
-  </div>
+  );
+};
+
+// Text with search matches marked
+const HighlightedText = ({ text, tokens, wordStart = false }) => (
+  <>
+    {SearchUtils.highlight(text, tokens, { wordStart }).map((segment, index) =>
+      segment.isMatch ? (
+        <mark
+          key={index}
+          style={{
+            background: THEME.colors.black,
+            color: THEME.colors.white,
+            padding: "0 1px",
+          }}
+        >
+          {segment.text}
+        </mark>
+      ) : (
+        <React.Fragment key={index}>{segment.text}</React.Fragment>
+      )
+    )}
+  </>
 );
 
 const ObservationDetail = ({
   observation,
+  searchTokens,
   patternContext,
+  trendLabel,
   expandedDetail,
   onToggleExpanded,
   onBack,
@@ -1598,7 +6700,7 @@ const ObservationDetail = ({
               marginBottom: THEME.spacing.xs,
             }}
           >
-            Within 100m
+            Within {patternContext.radiusMeters}m
           </div>
           <div
             style={{
@@ -1617,7 +6719,7 @@ const ObservationDetail = ({
               marginBottom: THEME.spacing.xs,
             }}
           >
-            30-day trend
+            {trendLabel}
           </div>
           <div
             style={{
@@ -1628,6 +6730,14 @@ const ObservationDetail = ({
           >
             {patternContext.trend}
           </div>
+          <div
+            style={{
+              color: THEME.colors.gray.medium,
+              marginTop: THEME.spacing.xs,
+            }}
+          >
+            {ContentUtils.describeTrendTest(patternContext.trendTest)}
+          </div>
         </div>
         <div>
           <div
@@ -1650,6 +6760,24 @@ const ObservationDetail = ({
       </div>
     </div>
 
+    {/* Description */}
+    {observation.description && (
+      <div
+        style={{
+          marginBottom: THEME.spacing.xl,
+          fontSize: THEME.typography.sizes.small,
+          lineHeight: "1.6",
+          color: THEME.colors.gray.dark,
+        }}
+      >
+        <HighlightedText
+          text={observation.description}
+          tokens={searchTokens}
+          wordStart
+        />
+      </div>
+    )}
+
     {/* Media Documentation */}
     {observation.media && (
       <MediaSection
@@ -1675,7 +6803,10 @@ const ObservationDetail = ({
     />
 
     {/* Record Metadata - TERTIARY */}
-    <RecordMetadataSection observation={observation} />
+    <RecordMetadataSection
+      observation={observation}
+      searchTokens={searchTokens}
+    />
   </div>
 );
 
@@ -2151,7 +7282,7 @@ const TimelineSection = ({ observation, expanded, onToggle }) => {
   );
 };
 
-const RecordMetadataSection = ({ observation }) => (
+const RecordMetadataSection = ({ observation, searchTokens }) => (
   <div
     style={{
       marginTop: THEME.spacing.xl,
@@ -2185,7 +7316,7 @@ const RecordMetadataSection = ({ observation }) => (
         >
           <td style={{ padding: `${THEME.spacing.sm} 0` }}>Record ID</td>
           <td style={{ padding: `${THEME.spacing.sm} 0`, textAlign: "right" }}>
-            {observation.id}
+            <HighlightedText text={observation.id} tokens={searchTokens} />
           </td>
         </tr>
         <tr
@@ -2224,8 +7355,21 @@ const RecordMetadataSection = ({ observation }) => (
 // PATTERN ANALYSIS COMPONENTS
 // ============================================================================
 
-const PatternAnalysisView = ({ mode, data, typeLabel, onClear }) => {
+const PatternAnalysisView = ({
+  mode,
+  data,
+  comparison,
+  comparisonRange,
+  hourSlot,
+  onHourSlotChange,
+  typeLabel,
+  onRadiusChange,
+  onHotspotSelect,
+  onClear,
+}) => {
   const isCityWide = mode === PATTERN_MODE.CITY_WIDE;
+  const isRegion = mode === PATTERN_MODE.REGION;
+  const isHotspots = mode === PATTERN_MODE.HOTSPOTS;
 
   return (
     <div>
@@ -2269,7 +7413,13 @@ const PatternAnalysisView = ({ mode, data, typeLabel, onClear }) => {
             color: THEME.colors.gray.medium,
           }}
         >
-          {isCityWide ? "CITY-WIDE PATTERN" : "LOCAL PATTERN"}
+          {isHotspots
+            ? "HOTSPOT ANALYSIS"
+            : isRegion
+            ? "REGION PATTERN"
+            : isCityWide
+            ? "CITY-WIDE PATTERN"
+            : "LOCAL PATTERN"}
         </div>
 
         <div
@@ -2282,7 +7432,9 @@ const PatternAnalysisView = ({ mode, data, typeLabel, onClear }) => {
             fontFamily: "'IBM Plex Sans', sans-serif",
           }}
         >
-          {typeLabel} Pattern Analysis
+          {isHotspots
+            ? "Significant Hotspots"
+            : `${isRegion ? "Drawn Region" : typeLabel} Pattern Analysis`}
         </div>
 
         <div
@@ -2292,17 +7444,54 @@ const PatternAnalysisView = ({ mode, data, typeLabel, onClear }) => {
             color: THEME.colors.gray.dark,
           }}
         >
-          {isCityWide
+          {isHotspots
+            ? `Clusters of ${
+                data.stats.cellSize
+              } m cells where filtered observations are denser than chance would explain (Getis-Ord Gi*, ${
+                data.stats.alpha * 100
+              }% false discovery rate). Select one to open its local pattern.`
+            : isRegion
+            ? `All observations inside the drawn area during the selected time window. ${RegionUtils.describe(
+                data.region
+              )}.`
+            : isCityWide
             ? `Aggregated observations of this behavior type across the city during the selected time window.`
             : `Similar observations have been reported repeatedly in this area over the selected time window.`}
         </div>
       </div>
 
       {/* Statistics */}
-      {isCityWide ? (
+      {isHotspots ? (
+        <HotspotList
+          hotspots={data.hotspots}
+          stats={data.stats}
+          onSelect={onHotspotSelect}
+        />
+      ) : isRegion ? (
+        <RegionStats stats={data.stats} />
+      ) : isCityWide ? (
         <CityWideStats stats={data.stats} />
       ) : (
-        <LocalStats stats={data.stats} />
+        <>
+          <RadiusSlider radius={data.radius} onChange={onRadiusChange} />
+          <LocalStats stats={data.stats} />
+        </>
+      )}
+
+      {data.punchcard && (
+        <HourOfWeekPunchcard
+          counts={data.punchcard}
+          slot={hourSlot}
+          onSlotChange={onHourSlotChange}
+        />
+      )}
+
+      {!isHotspots && comparisonRange && (
+        <PatternComparison
+          stats={data.stats}
+          comparison={comparison}
+          range={comparisonRange}
+        />
       )}
 
       {/* Explanatory Note */}
@@ -2324,6 +7513,51 @@ const PatternAnalysisView = ({ mode, data, typeLabel, onClear }) => {
   );
 };
 
+// The pattern's count and trend beside the same pattern in the comparison
+// window (comparison is null until it has been counted)
+const PatternComparison = ({ stats, comparison, range }) => {
+  const previous = comparison?.stats;
+  // City-wide stats count a total, local and region stats a count; local
+  // stats are null when nothing is nearby
+  const getCount = (patternStats) =>
+    patternStats ? patternStats.total ?? patternStats.count : 0;
+  const getTrend = (patternStats) =>
+    ContentUtils.getTrendLabel(patternStats?.trend ?? "insufficient");
+
+  return (
+    <div>
+      <div
+        style={{
+          fontSize: THEME.typography.sizes.tiny,
+          fontWeight: THEME.typography.weights.semibold,
+          letterSpacing: "0.1em",
+          marginBottom: THEME.spacing.sm,
+          color: THEME.colors.black,
+        }}
+      >
+        VS {TimeUtils.describePeriod(CUSTOM_PERIOD, range).toUpperCase()}
+      </div>
+      <StatsTable
+        rows={
+          comparison
+            ? [
+                { label: "Observations then", value: getCount(previous) },
+                {
+                  label: "Change",
+                  value: ContentUtils.formatCountChange(
+                    getCount(stats),
+                    getCount(previous)
+                  ),
+                },
+                { label: "Trend then", value: getTrend(previous) },
+              ]
+            : [{ label: "Observations then", value: "…" }]
+        }
+      />
+    </div>
+  );
+};
+
 const CityWideStats = ({ stats }) => (
   <div>
     <table
@@ -2382,11 +7616,23 @@ const CityWideStats = ({ stats }) => (
             style={{
               padding: `${THEME.spacing.sm} 0`,
               textAlign: "right",
-              textTransform: "capitalize",
               fontWeight: THEME.typography.weights.semibold,
             }}
           >
-            {stats.trend}
+            {ContentUtils.getTrendLabel(stats.trend)}
+          </td>
+        </tr>
+        <tr style={{ borderBottom: `1px solid ${THEME.colors.gray.lightest}` }}>
+          <td
+            style={{
+              padding: `${THEME.spacing.sm} 0`,
+              color: THEME.colors.gray.medium,
+            }}
+          >
+            Trend test
+          </td>
+          <td style={{ padding: `${THEME.spacing.sm} 0`, textAlign: "right" }}>
+            {ContentUtils.describeTrendTest(stats.trendTest)}
           </td>
         </tr>
         <tr>
@@ -2407,6 +7653,167 @@ const CityWideStats = ({ stats }) => (
   </div>
 );
 
+const RegionStats = ({ stats }) => {
+  const sectionLabelStyle = {
+    fontSize: THEME.typography.sizes.tiny,
+    fontWeight: THEME.typography.weights.semibold,
+    letterSpacing: "0.1em",
+    marginBottom: THEME.spacing.sm,
+    color: THEME.colors.black,
+  };
+
+  return (
+    <div>
+      <StatsTable
+        rows={[
+          { label: "Observations inside", value: stats.count },
+          {
+            label: "Region trend",
+            value:
+              stats.count > 0 ? ContentUtils.getTrendLabel(stats.trend) : "—",
+          },
+          {
+            label: "Trend test",
+            value:
+              stats.count > 0
+                ? ContentUtils.describeTrendTest(stats.trendTest)
+                : "—",
+          },
+        ]}
+      />
+
+      {stats.count > 0 && (
+        <>
+          <div style={sectionLabelStyle}>BY TYPE</div>
+          <StatsTable
+            rows={Object.keys(stats.byType).map((type) => ({
+              label: ContentUtils.getTypeLabel(type),
+              value: stats.byType[type],
+            }))}
+          />
+
+          <div style={sectionLabelStyle}>BY STATUS</div>
+          <StatsTable
+            rows={Object.keys(stats.byStatus).map((status) => ({
+              label: ContentUtils.getStatusLabel(status),
+              value: stats.byStatus[status],
+            }))}
+          />
+        </>
+      )}
+    </div>
+  );
+};
+
+const HotspotList = ({ hotspots, stats, onSelect }) => {
+  const cellStyle = { padding: `${THEME.spacing.sm} 0`, textAlign: "right" };
+  const headerStyle = {
+    ...cellStyle,
+    fontSize: THEME.typography.sizes.tiny,
+    fontWeight: THEME.typography.weights.normal,
+    color: THEME.colors.gray.light,
+  };
+
+  if (hotspots.length === 0) {
+    return (
+      <div
+        style={{
+          marginBottom: THEME.spacing.xxl,
+          fontSize: THEME.typography.sizes.small,
+          color: THEME.colors.gray.medium,
+        }}
+      >
+        {stats.count < stats.minObservations
+          ? `Hotspot analysis needs at least ${stats.minObservations} observations; ${stats.count} match the current filters.`
+          : "No significant hotspots in the current filters."}
+      </div>
+    );
+  }
+
+  return (
+    <table
+      style={{
+        width: "100%",
+        fontSize: THEME.typography.sizes.xsmall,
+        borderCollapse: "collapse",
+        marginBottom: THEME.spacing.xxl,
+      }}
+    >
+      <thead>
+        <tr style={{ borderBottom: `1px solid ${THEME.colors.gray.lighter}` }}>
+          <th style={{ ...headerStyle, textAlign: "left" }}>#</th>
+          <th style={{ ...headerStyle, textAlign: "left" }}>Mostly</th>
+          <th style={headerStyle}>Obs.</th>
+          <th style={headerStyle}>z</th>
+          <th style={headerStyle}>p</th>
+        </tr>
+      </thead>
+      <tbody>
+        {hotspots.map((hotspot, index) => (
+          <tr
+            key={hotspot.id}
+            onClick={() => onSelect(hotspot)}
+            title="Open local pattern"
+            style={{
+              borderBottom: `1px solid ${THEME.colors.gray.lightest}`,
+              cursor: "pointer",
+            }}
+          >
+            <td style={{ padding: `${THEME.spacing.sm} 0` }}>{index + 1}</td>
+            <td style={{ padding: `${THEME.spacing.sm} 0` }}>
+              {ContentUtils.getTypeLabel(hotspot.dominantType)}
+            </td>
+            <td style={cellStyle}>{hotspot.observations.length}</td>
+            <td style={cellStyle}>{hotspot.z.toFixed(2)}</td>
+            <td style={cellStyle}>
+              {hotspot.p < 0.001 ? "<0.001" : hotspot.p.toFixed(3)}
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+};
+
+const RadiusSlider = ({ radius, onChange }) => (
+  <label
+    style={{
+      display: "block",
+      marginBottom: THEME.spacing.xl,
+      fontSize: THEME.typography.sizes.xsmall,
+      color: THEME.colors.gray.medium,
+    }}
+  >
+    <div
+      style={{
+        display: "flex",
+        justifyContent: "space-between",
+        marginBottom: THEME.spacing.xs,
+      }}
+    >
+      <span>Radius</span>
+      <span
+        style={{
+          color: THEME.colors.black,
+          fontWeight: THEME.typography.weights.semibold,
+        }}
+      >
+        {radius}m
+      </span>
+    </div>
+    <input
+      type="range"
+      min={LOCAL_RADIUS_LIMITS.min}
+      max={LOCAL_RADIUS_LIMITS.max}
+      step={LOCAL_RADIUS_LIMITS.step}
+      value={radius}
+      onChange={(e) => onChange(Number(e.target.value))}
+      aria-label="Local pattern radius in meters"
+      style={{ width: "100%", accentColor: THEME.colors.black }}
+    />
+  </label>
+);
+
 const LocalStats = ({ stats }) => {
   if (!stats) return null;
 
@@ -2461,7 +7868,9 @@ const LocalStats = ({ stats }) => {
               {stats.timeSpanDays} days
             </td>
           </tr>
-          <tr>
+          <tr
+            style={{ borderBottom: `1px solid ${THEME.colors.gray.lightest}` }}
+          >
             <td
               style={{
                 padding: `${THEME.spacing.sm} 0`,
@@ -2474,11 +7883,25 @@ const LocalStats = ({ stats }) => {
               style={{
                 padding: `${THEME.spacing.sm} 0`,
                 textAlign: "right",
-                textTransform: "capitalize",
                 fontWeight: THEME.typography.weights.semibold,
               }}
             >
-              {stats.trend}
+              {ContentUtils.getTrendLabel(stats.trend)}
+            </td>
+          </tr>
+          <tr>
+            <td
+              style={{
+                padding: `${THEME.spacing.sm} 0`,
+                color: THEME.colors.gray.medium,
+              }}
+            >
+              Trend test
+            </td>
+            <td
+              style={{ padding: `${THEME.spacing.sm} 0`, textAlign: "right" }}
+            >
+              {ContentUtils.describeTrendTest(stats.trendTest)}
             </td>
           </tr>
         </tbody>
@@ -2487,4 +7910,73 @@ const LocalStats = ({ stats }) => {
   );
 };
 
-export default RoadCommonsTransparency;
+// ============================================================================
+// CONFIGURATION GATE
+// ============================================================================
+
+// Loads the runtime config (if one is named) before mounting the observatory
+const ConfiguredObservatory = () => {
+  const [configState, setConfigState] = useState(() =>
+    ConfigService.getConfigUrl()
+      ? { status: CONFIG_STATUS.LOADING, error: null }
+      : { status: CONFIG_STATUS.READY, error: null }
+  );
+
+  useEffect(() => {
+    if (!ConfigService.getConfigUrl()) return;
+
+    const controller = new AbortController();
+    ConfigService.load({ signal: controller.signal })
+      .then(({ config, warnings }) => {
+        if (controller.signal.aborted) return;
+        warnings.forEach((warning) => console.warn(`Config: ${warning}`));
+        ConfigService.apply(config);
+        setConfigState({ status: CONFIG_STATUS.READY, error: null });
+      })
+      .catch((error) => {
+        if (controller.signal.aborted) return;
+        console.error("Failed to load configuration:", error);
+        setConfigState({
+          status: CONFIG_STATUS.ERROR,
+          error: error.message || "Unknown error",
+        });
+      });
+
+    return () => controller.abort();
+  }, []);
+
+  if (configState.status === CONFIG_STATUS.READY) {
+    return <RoadCommonsTransparency />;
+  }
+
+  return (
+    <div
+      role={configState.status === CONFIG_STATUS.ERROR ? "alert" : "status"}
+      style={{
+        width: "100%",
+        height: "100vh",
+        display: "flex",
+        flexDirection: "column",
+        alignItems: "center",
+        justifyContent: "center",
+        gap: THEME.spacing.sm,
+        fontFamily: "'IBM Plex Mono', 'Courier New', monospace",
+        fontSize: THEME.typography.sizes.small,
+        color: THEME.colors.gray.medium,
+      }}
+    >
+      {configState.status === CONFIG_STATUS.ERROR ? (
+        <>
+          <div style={{ color: THEME.colors.black }}>
+            Configuration could not be loaded
+          </div>
+          <div>{configState.error}</div>
+        </>
+      ) : (
+        "Loading configuration..."
+      )}
+    </div>
+  );
+};
+
+export default ConfiguredObservatory;
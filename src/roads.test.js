@@ -0,0 +1,133 @@
+import { DAY_FILTERS, OBSERVATION_TYPES } from "./analytics";
+import { AnalyticsClient, UrlStateUtils } from "./roads";
+
+describe("UrlStateUtils", () => {
+  const view = "19.07600,72.87770,14";
+  const state = {
+    city: "mumbai",
+    lens: "risk",
+    period: "7d",
+    selected: "obs_0001",
+    pattern: "local",
+    reference: "obs_0001",
+  };
+
+  test("a view state survives buildSearch and parse", () => {
+    const search = UrlStateUtils.buildSearch({ ...state, view }, "");
+    expect(UrlStateUtils.parse(search)).toMatchObject({
+      ...state,
+      view: { center: [19.076, 72.8777], zoom: 14 },
+    });
+  });
+
+  test("a URL round-trips through parse and buildSearch unchanged", () => {
+    const search = `?city=mumbai&lens=risk&period=7d&obs=obs_0001&view=${view}`;
+    const parsed = UrlStateUtils.parse(search);
+    expect(UrlStateUtils.buildSearch({ ...parsed, view }, "")).toBe(search);
+  });
+
+  test("null values are left out and unrelated params kept", () => {
+    expect(
+      UrlStateUtils.buildSearch(
+        { city: "mumbai", lens: null },
+        "?config=cities.json&lens=risk"
+      )
+    ).toBe("?config=cities.json&city=mumbai");
+  });
+
+  test("entries differing only in viewport are the same entry", () => {
+    expect(
+      UrlStateUtils.isSameEntry(
+        "?city=mumbai&view=1,2,3",
+        "?view=4,5,6&city=mumbai"
+      )
+    ).toBe(true);
+    expect(
+      UrlStateUtils.isSameEntry("?city=mumbai&lens=risk", "?city=mumbai")
+    ).toBe(false);
+  });
+});
+
+// jsdom has no Worker, so the client runs its session in-process
+describe("AnalyticsClient without a worker", () => {
+  const at = (day, hour) => Date.UTC(2025, 11, day, hour);
+  const observations = [
+    { id: "obs_a", type: "risk", status: "pending", lat: 19.0, lng: 72.8 },
+    { id: "obs_b", type: "risk", status: "resolved", lat: 19.001, lng: 72.801 },
+    { id: "obs_c", type: "violation", status: "pending", lat: 19.2, lng: 72.9 },
+  ].map((obs, i) => ({ ...obs, timestamp: at(i + 1, 9), description: "" }));
+  const range = { start: -Infinity, end: Infinity };
+  const everything = {
+    lens: [],
+    statuses: [],
+    range,
+    timeOfDay: [],
+    dayFilter: DAY_FILTERS.ALL,
+    searchTokens: [],
+  };
+  const sorted = (indices) => [...indices].sort((a, b) => a - b);
+
+  let client;
+  beforeEach(async () => {
+    client = new AnalyticsClient();
+    await client.request("data", "load", {
+      observations,
+      types: OBSERVATION_TYPES,
+    });
+  });
+  afterEach(() => client.terminate());
+
+  test("filter answers with indices of the matching observations", async () => {
+    const result = await client.request("filter", "filter", {
+      ...everything,
+      lens: ["risk"],
+      statuses: ["pending"],
+    });
+    expect(result.filtered).toEqual([0]);
+  });
+
+  test("viewport counts the filtered observations in the box", async () => {
+    await client.request("filter", "filter", everything);
+    const result = await client.request("viewport", "viewport", {
+      south: 18.99,
+      west: 72.79,
+      north: 19.01,
+      east: 72.81,
+    });
+    expect(sorted(result.visible)).toEqual([0, 1]);
+    expect(result.stats.total).toBe(2);
+  });
+
+  test("patterns keep to the reference type and radius", async () => {
+    await client.request("filter", "filter", everything);
+    const cityWide = await client.request("pattern", "cityWidePattern", {
+      reference: observations[0],
+      range,
+    });
+    expect(sorted(cityWide.indices)).toEqual([0, 1]);
+
+    const local = await client.request("pattern", "localPattern", {
+      reference: observations[0],
+      radius: 50,
+      range,
+    });
+    expect(local.indices).toEqual([0]);
+  });
+
+  test("a newer request on the same channel resolves the older to null", async () => {
+    const older = client.request("filter", "filter", everything);
+    const newer = client.request("filter", "filter", {
+      ...everything,
+      lens: ["violation"],
+    });
+    const other = client.request("viewport", "viewport", {
+      south: 18,
+      west: 72,
+      north: 20,
+      east: 74,
+    });
+    expect(await older).toBeNull();
+    expect((await newer).filtered).toEqual([2]);
+    expect(await other).not.toBeNull();
+  });
+});
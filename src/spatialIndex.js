@@ -0,0 +1,136 @@
+// ============================================================================
+// SPATIAL INDEX
+// ============================================================================
+//
+// Uniform grid over lat/lng for radius and bounding-box lookups. Kept free of
+// React and Leaflet so it can be benchmarked in Node (npm run bench).
+
+const EARTH_RADIUS = 6371e3; // meters, same sphere as getDistance
+const METERS_PER_DEGREE = (EARTH_RADIUS * Math.PI) / 180;
+
+// Cell coordinates are packed into one number; offsets keep them positive
+const KEY_OFFSET = 2 ** 21;
+const KEY_STRIDE = 2 ** 22;
+
+// Meters per degree of longitude shrink towards the poles
+const getLngScale = (lat) => Math.max(Math.cos((lat * Math.PI) / 180), 0.01);
+
+// Distance between two lat/lng points in meters (Haversine formula)
+export const getDistance = (lat1, lng1, lat2, lng2) => {
+  const φ1 = (lat1 * Math.PI) / 180;
+  const φ2 = (lat2 * Math.PI) / 180;
+  const Δφ = ((lat2 - lat1) * Math.PI) / 180;
+  const Δλ = ((lng2 - lng1) * Math.PI) / 180;
+
+  const a =
+    Math.sin(Δφ / 2) * Math.sin(Δφ / 2) +
+    Math.cos(φ1) * Math.cos(φ2) * Math.sin(Δλ / 2) * Math.sin(Δλ / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+
+  return EARTH_RADIUS * c;
+};
+
+export class SpatialIndex {
+  // Items need numeric lat/lng; results always come back in input order
+  constructor(items, { cellMeters = 250 } = {}) {
+    this.items = items;
+    this.cells = new Map();
+
+    let minLat = Infinity;
+    let maxLat = -Infinity;
+    items.forEach((item) => {
+      minLat = Math.min(minLat, item.lat);
+      maxLat = Math.max(maxLat, item.lat);
+    });
+    const midLat = items.length > 0 ? (minLat + maxLat) / 2 : 0;
+
+    this.cellLat = cellMeters / METERS_PER_DEGREE;
+    this.cellLng = cellMeters / (METERS_PER_DEGREE * getLngScale(midLat));
+
+    items.forEach((item, index) => {
+      const key = this.getKey(this.getCol(item.lng), this.getRow(item.lat));
+      const cell = this.cells.get(key);
+      if (cell) cell.push(index);
+      else this.cells.set(key, [index]);
+    });
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  getCol(lng) {
+    return Math.floor(lng / this.cellLng);
+  }
+
+  getRow(lat) {
+    return Math.floor(lat / this.cellLat);
+  }
+
+  getKey(col, row) {
+    return (col + KEY_OFFSET) * KEY_STRIDE + (row + KEY_OFFSET);
+  }
+
+  // Indices of items in cells overlapping the box (a superset of the answer)
+  getCandidates(south, west, north, east) {
+    const minCol = this.getCol(west);
+    const maxCol = this.getCol(east);
+    const minRow = this.getRow(south);
+    const maxRow = this.getRow(north);
+    const candidates = [];
+
+    // A box wider than the data is cheaper to answer from the occupied cells
+    const spanCells = (maxCol - minCol + 1) * (maxRow - minRow + 1);
+    if (spanCells > this.cells.size) {
+      this.cells.forEach((indices, key) => {
+        const col = Math.floor(key / KEY_STRIDE) - KEY_OFFSET;
+        const row = (key % KEY_STRIDE) - KEY_OFFSET;
+        if (col >= minCol && col <= maxCol && row >= minRow && row <= maxRow) {
+          indices.forEach((index) => candidates.push(index));
+        }
+      });
+      return candidates;
+    }
+
+    for (let col = minCol; col <= maxCol; col++) {
+      for (let row = minRow; row <= maxRow; row++) {
+        const indices = this.cells.get(this.getKey(col, row));
+        if (indices) indices.forEach((index) => candidates.push(index));
+      }
+    }
+    return candidates;
+  }
+
+  // Candidate indices that pass the test, as items in input order
+  collect(candidates, test) {
+    return candidates
+      .filter((index) => test(this.items[index]))
+      .sort((a, b) => a - b)
+      .map((index) => this.items[index]);
+  }
+
+  // Items inside a lat/lng box (edges included)
+  inBounds(south, west, north, east) {
+    return this.collect(
+      this.getCandidates(south, west, north, east),
+      (item) =>
+        item.lat >= south &&
+        item.lat <= north &&
+        item.lng >= west &&
+        item.lng <= east
+    );
+  }
+
+  // Items within radiusMeters of a point
+  within(lat, lng, radiusMeters) {
+    // Widest in longitude on the edge nearer the pole
+    const dLat = radiusMeters / METERS_PER_DEGREE;
+    const poleward = Math.min(Math.abs(lat) + dLat, 90);
+    const dLng = radiusMeters / (METERS_PER_DEGREE * getLngScale(poleward));
+
+    return this.collect(
+      this.getCandidates(lat - dLat, lng - dLng, lat + dLat, lng + dLng),
+      (item) => getDistance(lat, lng, item.lat, item.lng) <= radiusMeters
+    );
+  }
+}
@@ -0,0 +1,4 @@
+// Kept out of roads.js: the worker URL needs import.meta, which the test
+// runner cannot parse, so this module is only loaded where Worker exists
+export const startAnalyticsWorker = () =>
+  new Worker(new URL("./analytics.worker.js", import.meta.url));